@@ -0,0 +1,71 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* eslint-env node */
+
+"use strict";
+
+// Updates the sha256 of a tip catalog after its definitions have changed, and
+// optionally signs it.  See TipRegistry.fromCatalog.  Usage:
+//
+//   node scripts/sign-catalog.js <catalog file> [<key file>]
+//
+// The key file is a JSON object whose `privateKey` is an ECDSA P-256 private
+// key in JWK format.  The catalog file is updated in place.  Only the sha256
+// and signature lines are rewritten, so the rest of the file keeps its
+// formatting.
+
+const fs = require("fs");
+const { webcrypto } = require("crypto");
+
+async function main([catalogPath, keyPath]) {
+  if (!catalogPath) {
+    throw new Error("Usage: sign-catalog.js <catalog file> [<key file>]");
+  }
+  let text = fs.readFileSync(catalogPath, "utf8");
+  let catalog = JSON.parse(text);
+  let bytes = new TextEncoder().encode(JSON.stringify(catalog.definitions));
+
+  let digest = await webcrypto.subtle.digest("SHA-256", bytes);
+  let sha256 = Buffer.from(digest).toString("hex");
+  text = text.replace(/"sha256": "[0-9a-f]*"/, `"sha256": "${sha256}"`);
+  console.log(`sha256: ${sha256}`);
+
+  if (keyPath) {
+    let { privateKey } = JSON.parse(fs.readFileSync(keyPath, "utf8"));
+    let key = await webcrypto.subtle.importKey(
+      "jwk",
+      privateKey,
+      { name: "ECDSA", namedCurve: "P-256" },
+      false,
+      ["sign"]
+    );
+    let signature = Buffer.from(
+      await webcrypto.subtle.sign(
+        { name: "ECDSA", hash: "SHA-256" },
+        key,
+        bytes
+      )
+    ).toString("base64");
+    if ("signature" in catalog) {
+      text = text.replace(
+        /"signature": "[^"]*"/,
+        `"signature": "${signature}"`
+      );
+    } else {
+      text = text.replace(
+        /^(\s*)"sha256": .*$/m,
+        `$&\n$1"signature": "${signature}",`
+      );
+    }
+    console.log(`signature: ${signature}`);
+  }
+
+  fs.writeFileSync(catalogPath, text);
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -4,6 +4,53 @@
 
 "use strict";
 
+// The rows of letter keys in the keyboard layouts that QueryScorer knows about,
+// from top to bottom.  See the `keyboardLayout` constructor param.
+const KEYBOARD_LAYOUTS = {
+  azerty: ["azertyuiop", "qsdfghjklm", "wxcvbn"],
+  qwerty: ["qwertyuiop", "asdfghjkl", "zxcvbnm"],
+  qwertz: ["qwertzuiop", "asdfghjkl", "yxcvbnm"],
+};
+
+// Matches punctuation and symbols: ASCII, Latin-1, general punctuation,
+// currency, arrows, math and technical symbols, box drawing, shapes, dingbats,
+// CJK and full-width punctuation, and emoji.  Unicode property escapes like
+// `\p{P}` would be simpler, but Firefox doesn't support them until 78.
+const PUNCTUATION_REGEXP = new RegExp(
+  "[" +
+    "!-\\/:-@\\[-`{-~" +
+    "\\u00a1-\\u00a9\\u00ab-\\u00b1\\u00b4\\u00b6-\\u00b8" +
+    "\\u00bb\\u00bf\\u00d7\\u00f7" +
+    "\\u2010-\\u2027\\u2030-\\u205e" +
+    "\\u20a0-\\u20cf" +
+    "\\u2190-\\u245f\\u2500-\\u2775\\u2794-\\u2bff" +
+    "\\u3000-\\u3004\\u3008-\\u3020\\u3030\\u3036\\u3037\\u303d-\\u303f" +
+    "\\uff01-\\uff0f\\uff1a-\\uff20\\uff3b-\\uff40\\uff5b-\\uff65" +
+    "\\u{1f000}-\\u{1f0ff}\\u{1f10d}-\\u{1faff}" +
+    "]",
+  "gu"
+);
+
+// The steps that QueryScorer can use to normalize phrases and queries before
+// splitting them into words.  See the `normalize` constructor param.
+const NORMALIZATION_STEPS = {
+  // Decompose characters and fold compatibility characters like full-width
+  // letters into their usual forms.
+  nfkd: str => str.normalize("NFKD"),
+  // Remove combining diacritical marks.  Run after "nfkd" so that accented
+  // characters are decomposed into base characters and marks.
+  diacritics: str => str.replace(/[\u0300-\u036f]/g, ""),
+  // Remove possessive 's and other apostrophes, so "firefox's" becomes
+  // "firefox" and "doesn't" becomes "doesnt".
+  apostrophes: str => str.replace(/['\u2018\u2019](s\b)?/gi, ""),
+  // Replace punctuation, including hyphens, and symbols with spaces.
+  punctuation: str => str.replace(PUNCTUATION_REGEXP, " "),
+};
+
+// The version of the format returned by `QueryScorer.toJSON`.  Increment it
+// when the format changes so that old snapshots are rejected.
+const SNAPSHOT_VERSION = 1;
+
 /**
  * This class scores a query string against sets of phrases.  To refer to a
  * single set of phrases, we borrow the term "document" from search engine
@@ -13,15 +60,20 @@
  *
  * The scoring method is fairly simple and is based on Levenshtein edit
  * distance.  Therefore, lower scores indicate a better match than higher
- * scores.  In summary, a query matches a phrase if the query starts with the
- * phrase.  So a query "firefox update foo bar" matches the phrase "firefox
- * update" for example.  A query matches a document if it matches any phrase in
- * the document.  The query and phrases are compared word for word, and we allow
- * fuzzy matching by computing the Levenshtein edit distance in each comparison.
- * The amount of fuzziness allowed is controlled with `distanceThreshold`.  If
- * the distance in a comparison is greater than this threshold, then the phrase
- * does not match the query.  The final score for a document is the minimum edit
- * distance between its phrases and the query.
+ * scores.  In summary, a query matches a phrase if the phrase appears in the
+ * query.  By default, the phrase must be at the start of the query, so a query
+ * "firefox update foo bar" matches the phrase "firefox update" for example.  If
+ * `matchAnywhere` is true, then the phrase may start anywhere in the query, so
+ * "why is firefox slow" matches "firefox slow" too.  A query matches a document
+ * if it matches any phrase in the document.  The query and phrases are compared
+ * word for word, and we allow fuzzy matching by computing the Levenshtein edit
+ * distance in each comparison.  (Other distance functions can be used instead.
+ * See the constructor.)  The amount of fuzziness allowed is controlled with
+ * `distanceThreshold`, which can depend on the length of the word being
+ * compared.  If the distance in a comparison is greater than this threshold,
+ * then the phrase does not match the query.  The final score for a document is
+ * the minimum edit distance between its phrases and the query, plus any
+ * penalties for query words that come before or after the matched phrase.
  *
  * As mentioned, `score` returns a sorted array of document-score pairs.  It's
  * up to you to filter the array to exclude scores above a certain threshold, or
@@ -29,8 +81,14 @@
  */
 class QueryScorer {
   /**
-   * @param {number} distanceThreshold
-   *   Edit distances no larger than this value are considered matches.
+   * @param {number|function|array} distanceThreshold
+   *   Edit distances no larger than this value are considered matches.  To
+   *   allow more fuzziness for longer words, this can be a function that takes
+   *   the length of a phrase word and returns the threshold for it, or an array
+   *   of thresholds indexed by word length.  The last threshold in the array is
+   *   used for words longer than the array.  For example, `[0, 0, 0, 0, 1, 1,
+   *   1, 1, 2]` means 0 for words up to 3 characters, 1 for 4 to 7 characters,
+   *   and 2 for 8 or more.
    * @param {Map} variations
    *   For convenience, the scorer can augment documents by replacing certain
    *   words with other words and phrases. This mechanism is called variations.
@@ -41,13 +99,184 @@ class QueryScorer {
    *   `new Map(["firefox", ["fire fox", "fox fire", "foxfire"]])` for this
    *   parameter, it will register 4 total phrases for the document: "fire fox
    *   update", "fox fire update", "foxfire update", and the original "firefox
-   *   update".
+   *   update".  Keys may also be phrases, like "mozilla firefox".  Every
+   *   occurrence of a key in a phrase is replaced, and when a phrase contains
+   *   more than one, each combination of replacements is registered, up to
+   *   `maxVariations`.
+   * @param {Map} queryVariations
+   *   Variations that are applied to queries instead of phrases, so they don't
+   *   add any phrases to the scorer.  The map has the same form as
+   *   `variations`, but it's applied in the opposite direction: occurrences of
+   *   the values in a query are replaced with their key before the query is
+   *   scored.  For example, with `new Map(["firefox", ["mozilla firefox"]])`,
+   *   the query "mozilla firefox update" is scored as "firefox update".  Only
+   *   whole words are replaced.
+   * @param {number} maxVariations
+   *   The maximum number of variations registered for each phrase.  See
+   *   `variations`.
+   * @param {number} maxQueryWords
+   *   The maximum number of query words that are scored.  Words past this
+   *   many are ignored, as if the query ended before them.  Scoring time grows
+   *   with the number of query words, so this keeps long pasted queries fast.
+   * @param {boolean} matchAnywhere
+   *   If false, a query matches a phrase only if the query starts with the
+   *   phrase.  If true, the phrase can start at any word in the query.
+   * @param {number} leadingWordPenalty
+   *   The amount added to a score for each query word that comes before the
+   *   matched phrase.  Only relevant when `matchAnywhere` is true.
+   * @param {number} trailingWordPenalty
+   *   The amount added to a score for each query word that comes after the
+   *   matched phrase.
+   * @param {Set} stopWords
+   *   Lowercase filler words like "the" and "in" that may be skipped when
+   *   comparing the query to phrases.  A stop word in the query doesn't need to
+   *   be present in a phrase, and a stop word in a phrase doesn't need to be
+   *   present in the query.  So with the stop words "the" and "in", the query
+   *   "clear the cache in firefox" matches the phrase "clear cache firefox".
+   * @param {number} stopWordPenalty
+   *   The amount added to a score for each stop word that's skipped.
+   * @param {number} maxExtraPhraseWords
+   *   When `score` is called with `incompleteLastWord`, a phrase may continue
+   *   for up to this many words past the end of the query and still match.
+   *   For example, if this value is 1, the query "firefox" matches the phrase
+   *   "firefox update".
+   * @param {number} extraPhraseWordPenalty
+   *   The amount added to a score for each phrase word past the end of the
+   *   query.  See `maxExtraPhraseWords`.
+   * @param {string|function} distance
+   *   The function used to compare query words to phrase words.  Either
+   *   "levenshtein" for Levenshtein distance; "damerau" for Damerau-Levenshtein
+   *   distance, which counts a transposition of two adjacent characters as one
+   *   edit instead of two; or a function that takes a query word and a phrase
+   *   word and returns the distance between them.
+   * @param {string} keyboardLayout
+   *   If "azerty", "qwerty", or "qwertz", replacing a character with one whose
+   *   key is adjacent to it on that keyboard layout costs `adjacentKeyCost`
+   *   instead of 1.  Ignored if `distance` is a function.
+   * @param {number} adjacentKeyCost
+   *   The cost of replacing a character with an adjacent one.  See
+   *   `keyboardLayout`.
+   * @param {array|function} normalize
+   *   How phrases, queries, variations, and stop words are normalized before
+   *   they're lowercased and split into words.  Either an array of the names of
+   *   steps to apply in order, or a function that takes a string and returns
+   *   the normalized string.  The steps are: "nfkd", which decomposes
+   *   characters and folds compatibility characters like full-width letters;
+   *   "diacritics", which removes diacritics once characters are decomposed;
+   *   "apostrophes", which removes apostrophes and possessive 's; and
+   *   "punctuation", which replaces punctuation and symbols with spaces.  All
+   *   steps are applied by default, so "Fírefox's cache" and "firefox cache"
+   *   are the same.
+   * @param {string} locale
+   *   The locale of the user's queries, e.g., "en-US".  Documents with a
+   *   different locale are ignored.  See `addDocument`.  The locale is also
+   *   passed to the tokenizer.
+   * @param {string|function} tokenizer
+   *   How normalized phrases and queries are split into words.  Either
+   *   "whitespace" to split on whitespace; "segmenter" to use `Intl.Segmenter`
+   *   word segmentation in `locale`, which also works for languages like
+   *   Chinese, Japanese, and Thai that don't separate words with spaces; or a
+   *   function that takes a string and the locale and returns an array of
+   *   words.  If `Intl.Segmenter` isn't available, "segmenter" falls back to
+   *   "whitespace".  Firefox doesn't support `Intl.Segmenter` until 125, so
+   *   until then, queries in those languages only match phrases that they
+   *   separate from other words with spaces.
+   * @param {Map} synonyms
+   *   A graph of synonyms used to match query words that mean the same thing as
+   *   phrase words, like "erase" and "delete".  Each key is a word or phrase,
+   *   and its value is an array of words or phrases that are its synonyms.
+   *   Synonymy goes both ways, and synonyms of synonyms are synonyms too, up to
+   *   `maxSynonymHops` away.  So with `new Map([["clear", ["delete"]],
+   *   ["delete", ["erase"]]])`, the query "erase history" matches the phrase
+   *   "clear history" in two hops.  Unlike variations, synonyms are applied
+   *   while scoring, so they don't add any phrases to the scorer.  Synonyms
+   *   must match query and phrase words exactly.
+   * @param {number} synonymCost
+   *   The amount added to a score for each hop in the synonym graph.
+   * @param {number} maxSynonymHops
+   *   The maximum number of hops in the synonym graph between a query word and
+   *   a phrase word.
    */
-  constructor({ distanceThreshold = 1, variations = new Map() } = {}) {
+  constructor({
+    distanceThreshold = 1,
+    variations = new Map(),
+    queryVariations = new Map(),
+    maxVariations = 100,
+    maxQueryWords = 32,
+    matchAnywhere = false,
+    leadingWordPenalty = 0,
+    trailingWordPenalty = 0,
+    stopWords = new Set(),
+    stopWordPenalty = 0,
+    maxExtraPhraseWords = 0,
+    extraPhraseWordPenalty = 0,
+    distance = "levenshtein",
+    keyboardLayout = null,
+    adjacentKeyCost = 0.5,
+    normalize = Object.keys(NORMALIZATION_STEPS),
+    locale = null,
+    tokenizer = "whitespace",
+    synonyms = new Map(),
+    synonymCost = 0.5,
+    maxSynonymHops = 2,
+  } = {}) {
+    if (typeof normalize != "function") {
+      for (let step of normalize) {
+        if (!NORMALIZATION_STEPS.hasOwnProperty(step)) {
+          throw new Error(`Unknown normalization step: ${step}`);
+        }
+      }
+    }
+    this._normalize = normalize;
+    this._locale = locale;
+    this._tokenizer = tokenizer;
+    this._segmenter =
+      tokenizer == "segmenter" && typeof Intl.Segmenter == "function"
+        ? new Intl.Segmenter(locale || undefined, { granularity: "word" })
+        : null;
     this._distanceThreshold = distanceThreshold;
+    this._synonyms = synonyms;
+    this._synonymCost = synonymCost;
+    this._maxSynonymHops = maxSynonymHops;
+    this._synonymRules = this._buildSynonymRules(synonyms);
     this._variations = variations;
+    this._phraseVariationRules = this._buildVariationRules(variations);
+    this._queryVariations = queryVariations;
+    this._queryVariationRules = this._buildVariationRules(
+      queryVariations,
+      true
+    );
+    this._maxVariations = maxVariations;
+    this._maxQueryWords = maxQueryWords;
+    this._matchAnywhere = matchAnywhere;
+    this._leadingWordPenalty = leadingWordPenalty;
+    this._trailingWordPenalty = trailingWordPenalty;
+    this._stopWords = new Set(
+      [...stopWords].flatMap(word => this._splitWords(word))
+    );
+    this._stopWordPenalty = stopWordPenalty;
+    this._maxExtraPhraseWords = maxExtraPhraseWords;
+    this._extraPhraseWordPenalty = extraPhraseWordPenalty;
+    this._distanceFunction = distance;
+    this._keyboardLayout = keyboardLayout;
+    this._adjacentKeys = keyboardLayout
+      ? this._buildAdjacentKeys(KEYBOARD_LAYOUTS[keyboardLayout])
+      : null;
+    this._adjacentKeyCost = adjacentKeyCost;
     this._documents = new Set();
     this._rootNode = new Node();
+    // The root of a second phrase tree that holds documents' excluded phrases
+    // and words.  See `addDocument`.
+    this._exclusionRootNode = new Node();
+
+    // Caches word distances while a query is being scored.  Maps query words
+    // to Maps from phrase words to distances.  See `_distance`.
+    this._distanceCache = null;
+
+    // The rows of the distance matrix used by `_editDistance`.  They're reused
+    // across calls so that computing a distance doesn't allocate anything.
+    // They grow as needed to fit the longest word.
+    this._distanceRows = [[], [], []];
   }
 
   /**
@@ -59,36 +288,280 @@ class QueryScorer {
    *   The document's ID.
    * @param {array} doc.phrases
    *   The set of phrases in the document.  Each phrase should be a string.
+   * @param {number|function|array} [doc.distanceThreshold]
+   *   Overrides the scorer's `distanceThreshold` for this document.  See the
+   *   constructor.
+   * @param {string} [doc.locale]
+   *   The locale of the document's phrases, e.g., "en" or "ja-JP".  If the
+   *   scorer has a locale and it doesn't match this one, then the document is
+   *   ignored.  A document locale matches a scorer locale if it's the same or
+   *   more general, so "en" matches "en-US" but not the other way around.
+   *   Documents without locales are never ignored.
+   * @param {array} [doc.excludePhrases]
+   *   Phrases that prevent the document from matching.  If any of them matches
+   *   anywhere in a query, then the document doesn't match the query, even if
+   *   its other phrases do.  Excluded phrases are compared to the query like
+   *   other phrases, except that the last query word is always treated as
+   *   complete.  For example, if a document has the phrase "firefox cookies"
+   *   and the excluded phrase "cookies recipe", then it matches "firefox
+   *   cookies" but not "firefox cookies recipe".
+   * @param {array} [doc.excludeWords]
+   *   Words that prevent the document from matching if they're anywhere in a
+   *   query.  This is the same as passing each word as an excluded phrase.
    */
   addDocument(doc) {
+    if (!this._isDocumentInLocale(doc)) {
+      return;
+    }
     this._documents.add(doc);
+    this._addDocumentToPhraseTree(doc);
+  }
 
-    for (let phraseStr of doc.phrases) {
-      // Split the phrase and lowercase the words.
-      let phrase = phraseStr
-        .trim()
-        .split(/\s+/)
-        .map(word => word.toLocaleLowerCase());
+  /**
+   * Removes a document from the scorer.
+   *
+   * @param {string} id
+   *   The ID of the document to remove.
+   * @return {boolean}
+   *   True if the document was removed, false if the scorer doesn't have a
+   *   document with the ID.
+   */
+  removeDocument(id) {
+    let doc = this._getDocument(id);
+    if (!doc) {
+      return false;
+    }
+    this._documents.delete(doc);
+    this._removeDocumentFromPhraseTree(this._rootNode, doc);
+    this._removeDocumentFromPhraseTree(this._exclusionRootNode, doc);
+    return true;
+  }
 
-      // Build a phrase list that contains the original phrase plus its
-      // variations, if any.
-      let phrases = [phrase];
-      for (let [triggerWord, variations] of this._variations) {
-        let index = phrase.indexOf(triggerWord);
-        if (index >= 0) {
-          for (let variation of variations) {
-            let variationPhrase = Array.from(phrase);
-            variationPhrase.splice(index, 1, ...variation.split(/\s+/));
-            phrases.push(variationPhrase);
-          }
-        }
+  /**
+   * Replaces the document that has the same ID as the given document.  The new
+   * document takes the old one's place, so ties in `score` are broken the same
+   * way as before.  If the scorer doesn't have a document with the ID, then the
+   * document is added.
+   *
+   * @param {object} doc
+   *   The new document.  See `addDocument`.  If it's ignored due to its locale,
+   *   then the old document is simply removed.
+   */
+  updateDocument(doc) {
+    let oldDoc = this._getDocument(doc.id);
+    if (!oldDoc || !this._isDocumentInLocale(doc)) {
+      this.removeDocument(doc.id);
+      this.addDocument(doc);
+      return;
+    }
+    this._removeDocumentFromPhraseTree(this._rootNode, oldDoc);
+    this._removeDocumentFromPhraseTree(this._exclusionRootNode, oldDoc);
+    this._documents = new Set(
+      [...this._documents].map(d => (d == oldDoc ? doc : d))
+    );
+    this._addDocumentToPhraseTree(doc);
+  }
+
+  /**
+   * Serializes the scorer: its options, documents, and phrase tree.  The
+   * returned object can be passed to `JSON.stringify` and stored, and
+   * `fromJSON` turns it back into a scorer without having to rebuild the phrase
+   * tree.  Functions can't be serialized, so this throws if any options or
+   * document distance thresholds are functions.
+   *
+   * @return {object}
+   *   An object: { version, options, documents, tree, exclusionTree }.
+   *   `version` is the version of the format.  `options` are the constructor
+   *   options, except that Maps and Sets are arrays.  `documents` are the
+   *   documents in the order they were added.  `tree` is the phrase tree.  It's
+   *   an array of the root node's children, and each node is an array: [word,
+   *   docIndexes, phrases, children].  `docIndexes` are the indexes in
+   *   `documents` of the node's documents, and `phrases` is an array of the
+   *   phrases that end at the node: [docIndex, phrase, usedVariation].
+   *   `exclusionTree` is the tree of excluded phrases in the same form.
+   */
+  toJSON() {
+    if (
+      typeof this._distanceThreshold == "function" ||
+      typeof this._distanceFunction == "function" ||
+      typeof this._normalize == "function" ||
+      typeof this._tokenizer == "function"
+    ) {
+      throw new Error("Can't serialize a QueryScorer with function options");
+    }
+    let documents = [...this._documents];
+    for (let doc of documents) {
+      if (typeof doc.distanceThreshold == "function") {
+        throw new Error(`Can't serialize the distanceThreshold of ${doc.id}`);
       }
+    }
+
+    let docIndexes = new Map(documents.map((doc, i) => [doc, i]));
+    return {
+      version: SNAPSHOT_VERSION,
+      options: {
+        distanceThreshold: this._distanceThreshold,
+        variations: [...this._variations],
+        queryVariations: [...this._queryVariations],
+        maxVariations: this._maxVariations,
+        maxQueryWords: this._maxQueryWords,
+        matchAnywhere: this._matchAnywhere,
+        leadingWordPenalty: this._leadingWordPenalty,
+        trailingWordPenalty: this._trailingWordPenalty,
+        stopWords: [...this._stopWords],
+        stopWordPenalty: this._stopWordPenalty,
+        maxExtraPhraseWords: this._maxExtraPhraseWords,
+        extraPhraseWordPenalty: this._extraPhraseWordPenalty,
+        distance: this._distanceFunction,
+        keyboardLayout: this._keyboardLayout,
+        adjacentKeyCost: this._adjacentKeyCost,
+        normalize: this._normalize,
+        locale: this._locale,
+        tokenizer: this._tokenizer,
+        synonyms: [...this._synonyms],
+        synonymCost: this._synonymCost,
+        maxSynonymHops: this._maxSynonymHops,
+      },
+      documents,
+      tree: [...this._rootNode.childrenByWord.values()].map(child =>
+        this._nodeToJSON(child, docIndexes)
+      ),
+      exclusionTree: [...this._exclusionRootNode.childrenByWord.values()].map(
+        child => this._nodeToJSON(child, docIndexes)
+      ),
+    };
+  }
+
+  /**
+   * Creates a scorer from an object returned by `toJSON`.
+   *
+   * @param {object} json
+   *   The object returned by `toJSON`, or a copy of it, e.g., one that was
+   *   stored and parsed.
+   * @return {QueryScorer}
+   *   The scorer.
+   */
+  static fromJSON(json) {
+    if (!json || json.version !== SNAPSHOT_VERSION) {
+      throw new Error(
+        `Unsupported QueryScorer snapshot version: ${json && json.version}`
+      );
+    }
+    let {
+      variations,
+      queryVariations,
+      stopWords,
+      synonyms,
+      ...options
+    } = json.options;
+    let qs = new QueryScorer({
+      ...options,
+      synonyms: new Map(synonyms),
+      variations: new Map(variations),
+      queryVariations: new Map(queryVariations),
+      stopWords: new Set(stopWords),
+    });
+    qs._documents = new Set(json.documents);
+    for (let nodeJSON of json.tree) {
+      qs._nodeFromJSON(qs._rootNode, nodeJSON, json.documents);
+    }
+    for (let nodeJSON of json.exclusionTree) {
+      qs._nodeFromJSON(qs._exclusionRootNode, nodeJSON, json.documents);
+    }
+    return qs;
+  }
 
-      // Finally, add the phrases to the phrase tree.
-      for (let phrase of phrases) {
-        this._buildPhraseTree(this._rootNode, doc, phrase, 0);
+  /**
+   * Returns whether a document should be scored given the scorer's locale.
+   * See `addDocument`.
+   *
+   * @param {object} doc
+   *   The document.
+   * @return {boolean}
+   *   True if the document's locale matches the scorer's locale.
+   */
+  _isDocumentInLocale(doc) {
+    if (!doc.locale || !this._locale) {
+      return true;
+    }
+    let docLocale = doc.locale.toLowerCase();
+    let locale = this._locale.toLowerCase();
+    return locale == docLocale || locale.startsWith(docLocale + "-");
+  }
+
+  /**
+   * Returns the document with the given ID.
+   *
+   * @param {string} id
+   *   The document's ID.
+   * @return {object}
+   *   The document, or null if the scorer doesn't have a document with the ID.
+   */
+  _getDocument(id) {
+    for (let doc of this._documents) {
+      if (doc.id == id) {
+        return doc;
       }
     }
+    return null;
+  }
+
+  /**
+   * Adds a document's phrases and their variations to the phrase tree.
+   *
+   * @param {object} doc
+   *   The document.  See `addDocument`.
+   */
+  _addDocumentToPhraseTree(doc) {
+    this._addPhrasesToTree(this._rootNode, doc, doc.phrases);
+    this._addPhrasesToTree(this._exclusionRootNode, doc, [
+      ...(doc.excludePhrases || []),
+      ...(doc.excludeWords || []),
+    ]);
+  }
+
+  /**
+   * Adds phrases and their variations to a phrase tree.
+   *
+   * @param {Node} rootNode
+   *   The root node of the tree.
+   * @param {object} doc
+   *   The document the phrases belong to.
+   * @param {array} phraseStrs
+   *   The phrases.  Each phrase should be a string.
+   */
+  _addPhrasesToTree(rootNode, doc, phraseStrs) {
+    for (let phraseStr of phraseStrs) {
+      let phrase = this._splitWords(phraseStr);
+      if (!phrase.length) {
+        continue;
+      }
+
+      // Build a phrase list that contains the original phrase plus its
+      // variations, if any.  Each segment of the phrase is either a single word
+      // or a variation key with its replacements, so the variations are all the
+      // combinations of the segments' alternatives.  The original phrase is
+      // first since it's made of the first alternative of each segment.
+      let phrases = [[]];
+      for (let { words, replacements } of this._segmentByVariations(
+        phrase,
+        this._phraseVariationRules
+      )) {
+        let alternatives = [words, ...replacements];
+        phrases = phrases
+          .flatMap(p => alternatives.map(alternative => p.concat(alternative)))
+          .slice(0, this._maxVariations + 1);
+      }
+
+      // Finally, add the phrases to the phrase tree.  The first phrase is the
+      // original, and the rest are its variations.
+      phrases.forEach((phrase, i) => {
+        this._buildPhraseTree(rootNode, doc, phrase, 0, {
+          phrase: phraseStr,
+          usedVariation: i > 0,
+        });
+      });
+    }
   }
 
   /**
@@ -96,43 +569,425 @@ class QueryScorer {
    *
    * @param {string} searchString
    *   The query string to score.
+   * @param {boolean} incompleteLastWord
+   *   Pass true if the user may still be typing the last word in the query.
+   *   The last word is then compared to the beginnings of phrase words instead
+   *   of whole words, so "firefox upd" matches "firefox update".  Phrases may
+   *   also continue past the end of the query.  See `maxExtraPhraseWords`.
    * @returns {array}
-   *   An array of objects: { document, score }.  Each element in the array is a
-   *   a document and its score against the query string.  The elements are
-   *   ordered by score from low to high.  Scores represent edit distance, so
-   *   lower scores are better.
-   */
-  score(queryString) {
-    let queryWords = queryString
-      .trim()
-      .split(/\s+/)
-      .map(word => word.toLocaleLowerCase());
-    let minDistanceByDoc = this._traverse({ queryWords });
+   *   An array of objects: { document, score, match }.  Each element in the
+   *   array is a document and its score against the query string.  The
+   *   elements are ordered by score from low to high.  Scores represent edit
+   *   distance, so lower scores are better.  `match` explains the score and is
+   *   null if the document didn't match.  Otherwise it's an object:
+   *
+   *   {string} phrase
+   *     The document phrase that best matched the query.
+   *   {array} words
+   *     The word-by-word comparison of the query and the phrase.  Each element
+   *     is an object: { queryWord, phraseWord, distance }.  If a stop word was
+   *     skipped or the phrase continued past the end of the query, then either
+   *     `queryWord` or `phraseWord` is null, and `distance` is the penalty.  If
+   *     query words were replaced with a synonym, then `queryWord` and
+   *     `phraseWord` may each be more than one word, and `distance` is the
+   *     cost of the synonym.
+   *   {boolean} usedVariation
+   *     True if the query matched a variation of the phrase instead of the
+   *     phrase itself.
+   *   {number} leadingWordCount
+   *     The number of query words before the phrase that were ignored.
+   *   {number} trailingWordCount
+   *     The number of query words after the phrase that were ignored.
+   */
+  score(queryString, { incompleteLastWord = false } = {}) {
+    // Split the query into normalized words, and then replace any query
+    // variations.  Keep track of which words came from variations.  Words past
+    // `maxQueryWords` are ignored.
+    let queryWords = [];
+    let queryWordsFromVariations = [];
+    for (let { words, replacements } of this._segmentByVariations(
+      this._splitWords(queryString).slice(0, this._maxQueryWords),
+      this._queryVariationRules
+    )) {
+      let fromVariation = !!replacements.length;
+      for (let word of fromVariation ? replacements[0] : words) {
+        queryWords.push(word);
+        queryWordsFromVariations.push(fromVariation);
+      }
+    }
+
+    // Match the query against the phrases.  Then match it against the excluded
+    // phrases, which may match anywhere in the query.
+    let synonymsByIndex = this._findSynonyms(queryWords);
+    let matchesByDoc;
+    let exclusionsByDoc;
+    this._distanceCache = new Map();
+    try {
+      matchesByDoc = this._matchTree(this._rootNode, queryWords, {
+        incompleteLastWord,
+        matchAnywhere: this._matchAnywhere,
+        synonymsByIndex,
+      });
+      exclusionsByDoc = this._matchTree(this._exclusionRootNode, queryWords, {
+        incompleteLastWord: false,
+        matchAnywhere: true,
+        synonymsByIndex,
+      });
+    } finally {
+      this._distanceCache = null;
+    }
+
     let results = [];
     for (let doc of this._documents) {
-      let distance = minDistanceByDoc.get(doc);
+      let match = exclusionsByDoc.has(doc) ? null : matchesByDoc.get(doc);
+      if (match) {
+        // The match also used a variation if any of the query words it
+        // consumed came from a query variation.
+        let { leadingWordCount, trailingWordCount } = match.match;
+        let queryWordCount =
+          queryWords.length - leadingWordCount - trailingWordCount;
+        match.match.usedVariation =
+          match.match.usedVariation ||
+          queryWordsFromVariations
+            .slice(leadingWordCount, leadingWordCount + queryWordCount)
+            .includes(true);
+      }
       results.push({
         document: doc,
-        score: distance === undefined ? Infinity : distance,
+        score: match ? match.score : Infinity,
+        match: match ? match.match : null,
       });
     }
     results.sort((a, b) => a.score - b.score);
     return results;
   }
 
+  /**
+   * Matches query words against a phrase tree.
+   *
+   * @param {Node} rootNode
+   *   The root node of the tree.
+   * @param {array} queryWords
+   *   The query words.
+   * @param {boolean} incompleteLastWord
+   *   See `score`.
+   * @param {boolean} matchAnywhere
+   *   Whether phrases may start at any query word.  See the constructor.
+   * @param {array} synonymsByIndex
+   *   The synonyms of the query words.  See `_findSynonyms`.
+   * @return {Map}
+   *   Maps documents to their best matches.  See `_traverse`.
+   */
+  _matchTree(
+    rootNode,
+    queryWords,
+    { incompleteLastWord, matchAnywhere, synonymsByIndex }
+  ) {
+    // Traverse the tree starting at each word in the query that a phrase may
+    // start at.  Query words before the starting word are penalized.  A query
+    // without any words doesn't match anything.
+    let matchesByDoc = new Map();
+    if (!rootNode.childrenByWord.size) {
+      return matchesByDoc;
+    }
+    let lastStartIndex =
+      matchAnywhere || !queryWords.length ? queryWords.length - 1 : 0;
+    for (let i = 0; i <= lastStartIndex; i++) {
+      this._traverse({
+        queryWords,
+        incompleteLastWord,
+        matchAnywhere,
+        synonymsByIndex,
+        node: rootNode,
+        matchesByDoc,
+        queryWordsIndex: i,
+        phraseDistance: i * this._leadingWordPenalty,
+        leadingWordCount: i,
+      });
+    }
+    return matchesByDoc;
+  }
+
+  /**
+   * Scores a query string and returns the best-scoring documents, grouped by
+   * score.  Documents that don't match the query aren't included.
+   *
+   * @param {string} queryString
+   *   The query string to score.
+   * @param {boolean} incompleteLastWord
+   *   See `score`.
+   * @param {number} maxScore
+   *   Documents with scores larger than this are excluded.
+   * @param {number} minConfidence
+   *   Documents with confidences smaller than this are excluded.  Confidence is
+   *   a number from 0 to 1 that normalizes a document's score by the length of
+   *   its matched phrase, so a typo in a long phrase costs less confidence than
+   *   a typo in a short one.  A score of 0 has a confidence of 1.
+   * @param {number} k
+   *   The maximum number of groups to return.
+   * @param {array} priority
+   *   Document IDs in order of priority.  Documents within a group are ordered
+   *   by priority, and documents that aren't in this array come last.
+   * @return {array}
+   *   An array of groups ordered by score from low to high.  Each group is an
+   *   array of objects: { document, score, match, confidence }, where
+   *   `document`, `score`, and `match` are as described in `score`.  All the
+   *   documents in a group have the same score.
+   */
+  topMatches(
+    queryString,
+    {
+      incompleteLastWord = false,
+      maxScore = Infinity,
+      minConfidence = 0,
+      k = 1,
+      priority = [],
+    } = {}
+  ) {
+    let groups = [];
+    for (let result of this.score(queryString, { incompleteLastWord })) {
+      // The results are sorted by score, so stop at the first that's too high.
+      if (result.score == Infinity || result.score > maxScore) {
+        break;
+      }
+      let confidence = this._confidence(result);
+      if (confidence < minConfidence) {
+        continue;
+      }
+      let group = groups[groups.length - 1];
+      if (!group || group[0].score != result.score) {
+        if (groups.length == k) {
+          break;
+        }
+        group = [];
+        groups.push(group);
+      }
+      group.push({ ...result, confidence });
+    }
+
+    let priorityIndex = doc => {
+      let index = priority.indexOf(doc.id);
+      return index < 0 ? priority.length : index;
+    };
+    for (let group of groups) {
+      group.sort(
+        (a, b) => priorityIndex(a.document) - priorityIndex(b.document)
+      );
+    }
+    return groups;
+  }
+
+  /**
+   * Returns the confidence of a document's match.  See `topMatches`.
+   *
+   * @param {object} result
+   *   A result returned by `score`.
+   * @return {number}
+   *   The confidence, from 0 to 1.
+   */
+  _confidence({ score, match }) {
+    let length = 0;
+    for (let { phraseWord } of match.words) {
+      if (phraseWord) {
+        length += phraseWord.length;
+      }
+    }
+    return length ? Math.max(0, 1 - score / length) : 0;
+  }
+
+  /**
+   * Normalizes a string and splits it into lowercase words.  See the
+   * `normalize` and `tokenizer` constructor params.
+   *
+   * @param {string} str
+   *   The string, e.g., a phrase or query.
+   * @return {array}
+   *   The words.  Empty if the string doesn't have any.
+   */
+  _splitWords(str) {
+    let normalized =
+      typeof this._normalize == "function"
+        ? this._normalize(str)
+        : this._normalize.reduce(
+            (s, step) => NORMALIZATION_STEPS[step](s),
+            str
+          );
+    let words;
+    if (typeof this._tokenizer == "function") {
+      words = this._tokenizer(normalized, this._locale);
+    } else if (this._segmenter) {
+      words = Array.from(this._segmenter.segment(normalized))
+        .filter(segment => segment.isWordLike)
+        .map(segment => segment.segment);
+    } else {
+      words = normalized.split(/\s+/);
+    }
+    return words.filter(word => word).map(word => word.toLocaleLowerCase());
+  }
+
+  /**
+   * Converts a map of variations to the rules used by `_segmentByVariations`.
+   *
+   * @param {Map} variations
+   *   The variations.  See the `variations` constructor param.
+   * @param {boolean} reverse
+   *   If true, the rules replace the map's values with its keys instead of
+   *   the other way around.  See the `queryVariations` constructor param.
+   * @return {array}
+   *   An array of objects: { words, replacements }.  `words` is the array of
+   *   words to replace, and `replacements` is an array of replacement word
+   *   arrays.  Longer rules come first so that they're preferred over shorter
+   *   ones.
+   */
+  _buildVariationRules(variations, reverse = false) {
+    let split = str => this._splitWords(str);
+    let rules = [];
+    for (let [key, values] of variations) {
+      if (reverse) {
+        for (let value of values) {
+          rules.push({ words: split(value), replacements: [split(key)] });
+        }
+      } else {
+        rules.push({ words: split(key), replacements: values.map(split) });
+      }
+    }
+    return rules.sort((a, b) => b.words.length - a.words.length);
+  }
+
+  /**
+   * Splits an array of words into segments according to some variation rules.
+   * Each occurrence of a rule's words becomes a segment, and each remaining
+   * word becomes a segment by itself.  Occurrences don't overlap, and at each
+   * word, the longest matching rule wins.
+   *
+   * @param {array} words
+   *   The words.
+   * @param {array} rules
+   *   The rules.  See `_buildVariationRules`.
+   * @return {array}
+   *   An array of objects: { words, replacements }.  For segments that are
+   *   occurrences of a rule, `replacements` are the rule's replacements.  For
+   *   other segments, `words` is a single word and `replacements` is empty.
+   */
+  _segmentByVariations(words, rules) {
+    let segments = [];
+    for (let i = 0; i < words.length; ) {
+      let rule = rules.find(r =>
+        r.words.every((word, j) => words[i + j] === word)
+      );
+      if (rule) {
+        segments.push({
+          words: words.slice(i, i + rule.words.length),
+          replacements: rule.replacements,
+        });
+        i += rule.words.length;
+      } else {
+        segments.push({ words: [words[i]], replacements: [] });
+        i++;
+      }
+    }
+    return segments;
+  }
+
+  /**
+   * Builds the rules used by `_findSynonyms` from the synonym graph.
+   *
+   * @param {Map} synonyms
+   *   The synonym graph.  See the `synonyms` constructor param.
+   * @return {array}
+   *   An array of objects: { words, synonyms }.  `words` is an array of words,
+   *   and `synonyms` is an array of objects: { words, cost }, one for each
+   *   synonym within `maxSynonymHops` hops.
+   */
+  _buildSynonymRules(synonyms) {
+    // Build an undirected graph whose nodes are the normalized terms joined by
+    // spaces.
+    let neighbors = new Map();
+    let addEdge = (term1, term2) => {
+      if (!neighbors.has(term1)) {
+        neighbors.set(term1, new Set());
+      }
+      neighbors.get(term1).add(term2);
+    };
+    for (let [key, values] of synonyms) {
+      let keyTerm = this._splitWords(key).join(" ");
+      for (let value of values) {
+        let valueTerm = this._splitWords(value).join(" ");
+        addEdge(keyTerm, valueTerm);
+        addEdge(valueTerm, keyTerm);
+      }
+    }
+
+    // Find the synonyms of each term with a breadth-first search.
+    let rules = [];
+    for (let term of neighbors.keys()) {
+      let hopsByTerm = new Map([[term, 0]]);
+      let queue = [term];
+      while (queue.length) {
+        let current = queue.shift();
+        let hops = hopsByTerm.get(current) + 1;
+        if (hops > this._maxSynonymHops) {
+          continue;
+        }
+        for (let neighbor of neighbors.get(current)) {
+          if (!hopsByTerm.has(neighbor)) {
+            hopsByTerm.set(neighbor, hops);
+            queue.push(neighbor);
+          }
+        }
+      }
+      hopsByTerm.delete(term);
+      rules.push({
+        words: term.split(" "),
+        synonyms: [...hopsByTerm].map(([synonym, hops]) => ({
+          words: synonym.split(" "),
+          cost: hops * this._synonymCost,
+        })),
+      });
+    }
+    return rules;
+  }
+
+  /**
+   * Finds the synonyms of the words in a query.
+   *
+   * @param {array} queryWords
+   *   The query words.
+   * @return {array}
+   *   An array with an element for each query word.  Each element is an array
+   *   of the synonyms of the terms that start at the word: { length, words,
+   *   cost }.  `length` is the number of query words in the term, `words` is
+   *   the synonym's words, and `cost` is the synonym's cost.
+   */
+  _findSynonyms(queryWords) {
+    return queryWords.map((_, i) => {
+      let synonyms = [];
+      for (let rule of this._synonymRules) {
+        if (rule.words.every((word, j) => queryWords[i + j] === word)) {
+          for (let { words, cost } of rule.synonyms) {
+            synonyms.push({ length: rule.words.length, words, cost });
+          }
+        }
+      }
+      return synonyms;
+    });
+  }
+
   /**
    * Builds the phrase tree based on the current documents.
    *
    * The phrase tree lets us efficiently match queries against phrases.  Each
-   * path through the tree starting from the root and ending at a leaf
-   * represents a complete phrase in a document (or more than one document, if
-   * the same phrase is present in multiple documents).  Each node in the path
-   * represents a word in the phrase.  To match a query, we start at the root,
-   * and in the root we look up the query's first word.  If the word matches the
-   * first word of any phrase, then the root will have a child node representing
-   * that word, and we move on to the child node.  Then we look up the query's
-   * second word in the child node, and so on, until either a lookup fails or we
-   * reach a leaf node.
+   * path through the tree starting from the root and ending at a node with
+   * non-empty `phrasesByDoc` represents a complete phrase in a document (or
+   * more than one document, if the same phrase is present in multiple
+   * documents).  Usually these nodes are leaves, but they don't need to be if
+   * one phrase is a prefix of another.  Each node in the path represents a word
+   * in the phrase.  To match a query, we start at the root, and in the root we
+   * look up the query's first word.  If the word matches the first word of any
+   * phrase, then the root will have a child node representing that word, and
+   * we move on to the child node.  Then we look up the query's second word in
+   * the child node, and so on, until either a lookup fails or we reach the end
+   * of a phrase.
    *
    * @param {Node} node
    *   The current node being visited.
@@ -142,10 +997,23 @@ class QueryScorer {
    *   The phrase to add to the tree.
    * @param {number} wordIndex
    *   The index in the phrase of the current word.
+   * @param {object} phraseInfo
+   *   Info about the phrase that's stored in the node where the phrase ends:
+   *   { phrase, usedVariation }.  `phrase` is the original phrase string in the
+   *   document, and `usedVariation` is true if `phrase` is a variation of it.
    */
-  _buildPhraseTree(node, doc, phrase, wordIndex) {
+  _buildPhraseTree(node, doc, phrase, wordIndex, phraseInfo) {
     if (phrase.length == wordIndex) {
-      // We're done with this phrase.
+      // We're done with this phrase.  Remember it in the final node.  If the
+      // document already has a phrase that ends here, prefer an original
+      // phrase to a variation.
+      let existingInfo = node.phrasesByDoc.get(doc);
+      if (
+        !existingInfo ||
+        (existingInfo.usedVariation && !phraseInfo.usedVariation)
+      ) {
+        node.phrasesByDoc.set(doc, phraseInfo);
+      }
       return;
     }
 
@@ -156,9 +1024,102 @@ class QueryScorer {
       node.childrenByWord.set(word, child);
     }
     child.documents.add(doc);
+    child.maxDistanceThreshold = Math.max(
+      child.maxDistanceThreshold,
+      this._distanceThresholdForWord(doc, word)
+    );
 
     // Recurse with the next word in the phrase.
-    this._buildPhraseTree(child, doc, phrase, wordIndex + 1);
+    this._buildPhraseTree(child, doc, phrase, wordIndex + 1, phraseInfo);
+  }
+
+  /**
+   * Removes a document from the phrase tree.  This undoes everything
+   * `_buildPhraseTree` did for the document's phrases: the document is removed
+   * from the nodes of its phrases, nodes that no longer have any documents are
+   * pruned, and the distance thresholds of the nodes the document shares with
+   * other documents are recalculated.
+   *
+   * @param {Node} node
+   *   The node whose descendants the document should be removed from.
+   * @param {object} doc
+   *   The document to remove.
+   */
+  _removeDocumentFromPhraseTree(node, doc) {
+    for (let [word, child] of node.childrenByWord) {
+      if (!child.documents.has(doc)) {
+        continue;
+      }
+      this._removeDocumentFromPhraseTree(child, doc);
+      child.documents.delete(doc);
+      child.phrasesByDoc.delete(doc);
+      if (!child.documents.size) {
+        node.childrenByWord.delete(word);
+        continue;
+      }
+      child.maxDistanceThreshold = -Infinity;
+      for (let otherDoc of child.documents) {
+        child.maxDistanceThreshold = Math.max(
+          child.maxDistanceThreshold,
+          this._distanceThresholdForWord(otherDoc, word)
+        );
+      }
+    }
+  }
+
+  /**
+   * Serializes a node in the phrase tree and its descendants.  See `toJSON`.
+   *
+   * @param {Node} node
+   *   The node.
+   * @param {Map} docIndexes
+   *   Maps documents to their indexes in the serialized documents array.
+   * @return {array}
+   *   The serialized node: [word, docIndexes, phrases, children].
+   */
+  _nodeToJSON(node, docIndexes) {
+    return [
+      node.word,
+      [...node.documents].map(doc => docIndexes.get(doc)),
+      [...node.phrasesByDoc].map(([doc, { phrase, usedVariation }]) => [
+        docIndexes.get(doc),
+        phrase,
+        usedVariation,
+      ]),
+      [...node.childrenByWord.values()].map(child =>
+        this._nodeToJSON(child, docIndexes)
+      ),
+    ];
+  }
+
+  /**
+   * Deserializes a node in the phrase tree and its descendants and adds it to
+   * its parent.  See `fromJSON`.
+   *
+   * @param {Node} parent
+   *   The node's parent.
+   * @param {array} nodeJSON
+   *   The serialized node.  See `_nodeToJSON`.
+   * @param {array} documents
+   *   The documents.  Serialized nodes refer to them by index.
+   */
+  _nodeFromJSON(parent, [word, docIndexes, phrases, children], documents) {
+    let node = new Node(word);
+    parent.childrenByWord.set(word, node);
+    for (let docIndex of docIndexes) {
+      let doc = documents[docIndex];
+      node.documents.add(doc);
+      node.maxDistanceThreshold = Math.max(
+        node.maxDistanceThreshold,
+        this._distanceThresholdForWord(doc, word)
+      );
+    }
+    for (let [docIndex, phrase, usedVariation] of phrases) {
+      node.phrasesByDoc.set(documents[docIndex], { phrase, usedVariation });
+    }
+    for (let childJSON of children) {
+      this._nodeFromJSON(node, childJSON, documents);
+    }
   }
 
   /**
@@ -167,137 +1128,608 @@ class QueryScorer {
    *
    * @param {array} queryWords
    *   The query being scored, split into words.
+   * @param {boolean} incompleteLastWord
+   *   Whether the last query word may be incomplete.  See `score`.
+   * @param {boolean} matchAnywhere
+   *   Whether phrases may start at any query word.  See `_matchTree`.
+   * @param {array} synonymsByIndex
+   *   The synonyms of the query words.  See `_findSynonyms`.
    * @param {Node} node
    *   The node currently being visited.
-   * @param {Map} minDistanceByDoc
-   *   Keeps track of the minimum edit distance for each document as the
-   *   traversal continues.
+   * @param {Map} matchesByDoc
+   *   Keeps track of the best match for each document as the traversal
+   *   continues.  Maps documents to objects: { score, match }.  See `score` for
+   *   a description of `match`.
    * @param {number} queryWordsIndex
    *   The current index in the query words array.
    * @param {number} phraseDistance
    *   The total edit distance between the query and the path in the tree that's
-   *   been traversed so far.
-   * @return {Map} minDistanceByDoc
+   *   been traversed so far, including any penalties for leading query words
+   *   and skipped stop words.
+   * @param {number} extraPhraseWords
+   *   The number of phrase words that have been traversed past the end of the
+   *   query.  Only relevant when `incompleteLastWord` is true.
+   * @param {number} leadingWordCount
+   *   The number of query words before the start of the path.
+   * @param {object} path
+   *   The word comparisons made so far along the path, most recent first, as a
+   *   linked list: { word, previous, isSynonym, isPrefix }.  `word` is an
+   *   element of the `words` array described in `score`, `isSynonym` is true
+   *   if it compares query words to a synonym, and `isPrefix` is true if it
+   *   compares an incomplete query word to the beginning of a phrase word.
+   *   Null at the root.
+   * @return {Map} matchesByDoc
    */
   _traverse({
     queryWords,
+    incompleteLastWord = false,
+    matchAnywhere = false,
+    synonymsByIndex = [],
     node = this._rootNode,
-    minDistanceByDoc = new Map(),
+    matchesByDoc = new Map(),
     queryWordsIndex = 0,
     phraseDistance = 0,
+    extraPhraseWords = 0,
+    leadingWordCount = 0,
+    path = null,
   } = {}) {
-    if (!node.childrenByWord.size) {
-      // We reached a leaf node.  The query has matched a phrase.  If the query
-      // and the phrase have the same number of words, then queryWordsIndex ==
-      // queryWords.length also.  Otherwise the query contains more words than
-      // the phrase.  We still count that as a match.
-      for (let doc of node.documents) {
-        minDistanceByDoc.set(
-          doc,
-          Math.min(
-            phraseDistance,
-            minDistanceByDoc.has(doc) ? minDistanceByDoc.get(doc) : Infinity
-          )
-        );
+    if (node.phrasesByDoc.size) {
+      // We reached the end of a phrase.  The query has matched it.  If the
+      // query and the phrase have the same number of words, then
+      // queryWordsIndex == queryWords.length also.  Otherwise the query
+      // contains more words than the phrase.  We still count that as a match,
+      // but the remaining query words are penalized.
+      let trailingWordCount = queryWords.length - queryWordsIndex;
+      let score =
+        phraseDistance + trailingWordCount * this._trailingWordPenalty;
+      for (let [doc, { phrase, usedVariation }] of node.phrasesByDoc) {
+        let existing = matchesByDoc.get(doc);
+        if (
+          (!existing || score < existing.score) &&
+          this._isPathWithinDistanceThreshold(doc, path)
+        ) {
+          matchesByDoc.set(doc, {
+            score,
+            match: {
+              phrase,
+              words: this._pathToArray(path),
+              usedVariation,
+              leadingWordCount,
+              trailingWordCount,
+            },
+          });
+        }
       }
-      return minDistanceByDoc;
     }
 
+    if (!node.childrenByWord.size) {
+      // We reached a leaf node, so there's nowhere else to go.
+      return matchesByDoc;
+    }
+
+    // These properties are the same for all recursive calls below.
+    let traverseArgs = {
+      queryWords,
+      incompleteLastWord,
+      matchAnywhere,
+      synonymsByIndex,
+      matchesByDoc,
+      leadingWordCount,
+    };
+
     if (queryWordsIndex == queryWords.length) {
-      // We exhausted all the words in the query but have not reached a leaf
-      // node.  No match; the query has matched a phrase(s) up to this point,
-      // but it doesn't have enough words.
-      return minDistanceByDoc;
+      // We exhausted all the words in the query but have not reached the end of
+      // a phrase.  If the user may still be typing, then let the phrase
+      // continue past the query for a limited number of words.  Otherwise, no
+      // match; the query has matched a phrase(s) up to this point, but it
+      // doesn't have enough words.
+      if (incompleteLastWord && extraPhraseWords < this._maxExtraPhraseWords) {
+        for (let [childWord, child] of node.childrenByWord) {
+          let distance = this._extraPhraseWordPenalty;
+          this._traverse({
+            ...traverseArgs,
+            node: child,
+            queryWordsIndex,
+            phraseDistance: phraseDistance + distance,
+            extraPhraseWords: extraPhraseWords + 1,
+            path: this._extendPath(path, null, childWord, distance),
+          });
+        }
+      }
+      return matchesByDoc;
     }
 
-    // Compare each word in the node to the current query word.
+    // Compare each word in the node to the current query word.  If the query
+    // word is the last word and the user may still be typing it, compare it to
+    // the beginning of each node word instead of the whole word.
     let queryWord = queryWords[queryWordsIndex];
+    let isPrefix =
+      incompleteLastWord && queryWordsIndex == queryWords.length - 1;
     for (let [childWord, child] of node.childrenByWord) {
-      let distance = this._levenshtein(queryWord, childWord);
-      if (distance <= this._distanceThreshold) {
+      let threshold = isPrefix
+        ? this._maxPrefixDistanceThreshold(child, queryWord)
+        : child.maxDistanceThreshold;
+      let distance = isPrefix
+        ? this._prefixDistance(queryWord, childWord, threshold)
+        : this._distance(queryWord, childWord, threshold);
+      if (distance <= threshold) {
         // The word represented by this child node matches the current query
-        // word.  Recurse into the child node.
+        // word, at least for some of the child's documents.  Whether it
+        // matches for a particular document is checked at the end of the
+        // phrase.  Recurse into the child node.
         this._traverse({
+          ...traverseArgs,
           node: child,
-          queryWords,
           queryWordsIndex: queryWordsIndex + 1,
           phraseDistance: phraseDistance + distance,
-          minDistanceByDoc,
+          path: this._extendPath(path, queryWord, childWord, distance, {
+            isPrefix,
+          }),
         });
       }
       // Else, the path that continues at the child node can't possibly match
       // the query, so don't recurse into it.
+
+      if (this._stopWords.has(childWord)) {
+        // The child's word is a stop word, so the phrase can match without it.
+        // Skip over the child without consuming the current query word.
+        this._traverse({
+          ...traverseArgs,
+          node: child,
+          queryWordsIndex,
+          phraseDistance: phraseDistance + this._stopWordPenalty,
+          path: this._extendPath(path, null, childWord, this._stopWordPenalty),
+        });
+      }
+    }
+
+    for (let synonym of synonymsByIndex[queryWordsIndex] || []) {
+      // Query words starting at the current one have a synonym.  If the path
+      // continues with the synonym's words, then follow it past them.
+      let synonymNode = node;
+      for (let word of synonym.words) {
+        synonymNode = synonymNode && synonymNode.childrenByWord.get(word);
+      }
+      if (synonymNode) {
+        let nextIndex = queryWordsIndex + synonym.length;
+        this._traverse({
+          ...traverseArgs,
+          node: synonymNode,
+          queryWordsIndex: nextIndex,
+          phraseDistance: phraseDistance + synonym.cost,
+          path: this._extendPath(
+            path,
+            queryWords.slice(queryWordsIndex, nextIndex).join(" "),
+            synonym.words.join(" "),
+            synonym.cost,
+            { isSynonym: true }
+          ),
+        });
+      }
+    }
+
+    if (
+      this._stopWords.has(queryWord) &&
+      (!matchAnywhere || queryWordsIndex > leadingWordCount)
+    ) {
+      // The current query word is a stop word, so the query can match without
+      // it.  Skip over it without moving on from the current node.  When
+      // phrases can match anywhere, don't skip stop words before the path has
+      // consumed any query words.  `_matchTree` already starts a traversal at
+      // each query word, so that would only traverse the same paths again, once
+      // for each leading stop word.
+      this._traverse({
+        ...traverseArgs,
+        node,
+        queryWordsIndex: queryWordsIndex + 1,
+        phraseDistance: phraseDistance + this._stopWordPenalty,
+        path: this._extendPath(path, queryWord, null, this._stopWordPenalty),
+      });
     }
 
-    return minDistanceByDoc;
+    return matchesByDoc;
   }
 
   /**
-   * [Copied from toolkit/modules/NLP.jsm]
+   * Returns the distance threshold for a word in one of a document's phrases.
    *
-   * Calculate the Levenshtein distance between two words.
-   * The implementation of this method was heavily inspired by
-   * http://locutus.io/php/strings/levenshtein/index.html
-   * License: MIT.
+   * @param {object} doc
+   *   The document.
+   * @param {string} word
+   *   The phrase word.
+   * @return {number}
+   *   The threshold.
+   */
+  _distanceThresholdForWord(doc, word) {
+    let threshold =
+      doc.distanceThreshold === undefined
+        ? this._distanceThreshold
+        : doc.distanceThreshold;
+    if (typeof threshold == "function") {
+      return threshold(word.length);
+    }
+    if (Array.isArray(threshold)) {
+      return threshold[Math.min(word.length, threshold.length - 1)];
+    }
+    return threshold;
+  }
+
+  /**
+   * Returns the largest distance threshold among a node's documents for
+   * comparing a query word the user may still be typing to the beginning of
+   * the node's word.  The threshold is based on the length of the prefix being
+   * compared, not the whole word, so that short prefixes like "the" don't
+   * fuzzily match long words like "extensions".
    *
-   * @param  {String} word1   Word to compare against
-   * @param  {String} word2   Word that may be different
-   * @param  {Number} costIns The cost to insert a character
-   * @param  {Number} costRep The cost to replace a character
-   * @param  {Number} costDel The cost to delete a character
-   * @return {Number}
+   * @param {Node} node
+   *   The node.
+   * @param {string} queryWord
+   *   The query word, which may be incomplete.
+   * @return {number}
+   *   The threshold.
    */
-  _levenshtein(word1 = "", word2 = "", costIns = 1, costRep = 1, costDel = 1) {
-    if (word1 === word2) {
-      return 0;
+  _maxPrefixDistanceThreshold(node, queryWord) {
+    let prefix = node.word.substring(0, queryWord.length);
+    let threshold = -Infinity;
+    for (let doc of node.documents) {
+      threshold = Math.max(
+        threshold,
+        this._distanceThresholdForWord(doc, prefix)
+      );
     }
+    return threshold;
+  }
 
-    let l1 = word1.length;
-    let l2 = word2.length;
-    if (!l1) {
-      return l2 * costIns;
+  /**
+   * Checks whether every word comparison in a traversal path is within a
+   * document's distance thresholds.  The traversal visits a node if the query
+   * word is within the threshold of any of the node's documents, so this must
+   * be checked for each document whose phrase the path matches.
+   *
+   * @param {object} doc
+   *   The document.
+   * @param {object} path
+   *   The traversal path.  See `_traverse`.
+   * @return {boolean}
+   *   True if all comparisons are within the thresholds.
+   */
+  _isPathWithinDistanceThreshold(doc, path) {
+    for (; path; path = path.previous) {
+      let { queryWord, phraseWord, distance } = path.word;
+      if (path.isSynonym || queryWord === null || phraseWord === null) {
+        continue;
+      }
+      let word = path.isPrefix
+        ? phraseWord.substring(0, queryWord.length)
+        : phraseWord;
+      if (distance > this._distanceThresholdForWord(doc, word)) {
+        return false;
+      }
     }
-    if (!l2) {
-      return l1 * costDel;
+    return true;
+  }
+
+  /**
+   * Returns a new traversal path that extends the given path by one word
+   * comparison.  See `_traverse`.
+   *
+   * @param {object} path
+   *   The path to extend.
+   * @param {string} queryWord
+   *   The query word in the comparison, or null if there isn't one.
+   * @param {string} phraseWord
+   *   The phrase word in the comparison, or null if there isn't one.
+   * @param {number} distance
+   *   The distance or penalty of the comparison.
+   * @param {boolean} isSynonym
+   *   True if the comparison is between query words and a synonym.
+   * @param {boolean} isPrefix
+   *   True if the query word was compared to the beginning of the phrase word.
+   * @return {object}
+   *   The new path.
+   */
+  _extendPath(
+    path,
+    queryWord,
+    phraseWord,
+    distance,
+    { isSynonym = false, isPrefix = false } = {}
+  ) {
+    return {
+      word: { queryWord, phraseWord, distance },
+      previous: path,
+      isSynonym,
+      isPrefix,
+    };
+  }
+
+  /**
+   * Converts a traversal path to an array of word comparisons in query order.
+   * See `_traverse`.
+   *
+   * @param {object} path
+   *   The path.
+   * @return {array}
+   *   The word comparisons in the path.
+   */
+  _pathToArray(path) {
+    let words = [];
+    for (; path; path = path.previous) {
+      words.unshift(path.word);
     }
+    return words;
+  }
 
-    let p1 = new Array(l2 + 1);
-    let p2 = new Array(l2 + 1);
+  /**
+   * Returns the edit distance between a query word and the closest prefix of a
+   * phrase word.  This is used to compare a word the user may still be typing.
+   *
+   * @param {string} queryWord
+   *   The query word, which may be incomplete.
+   * @param {string} phraseWord
+   *   The phrase word.
+   * @param {number} maxDistance
+   *   The maximum distance of interest.  See `_distance`.
+   * @return {number}
+   *   The minimum distance between `queryWord` and the non-empty prefixes of
+   *   `phraseWord`.  If that distance is as large as the query word
+   *   itself, then the two words have nothing in common, and Infinity is
+   *   returned.
+   */
+  _prefixDistance(queryWord, phraseWord, maxDistance = Infinity) {
+    let distance = this._distance(queryWord, phraseWord, maxDistance, {
+      prefix: true,
+    });
+    return distance < queryWord.length ? distance : Infinity;
+  }
 
-    let i1, i2, c0, c1, c2, tmp;
+  /**
+   * Returns the distance between a query word and a phrase word using the
+   * distance function passed to the constructor.  The same pairs of words tend
+   * to be compared many times while scoring a query, so distances are cached
+   * for the duration of each `score` call.
+   *
+   * @param {string} queryWord
+   *   The query word.
+   * @param {string} phraseWord
+   *   The phrase word.
+   * @param {number} maxDistance
+   *   The maximum distance of interest.  The built-in distance functions stop
+   *   computing a distance once it's clear that it's larger than this.
+   * @param {boolean} prefix
+   *   If true, returns the distance between the query word and the closest
+   *   non-empty prefix of the phrase word.
+   * @return {number}
+   *   The distance.  If the distance is larger than `maxDistance`, then the
+   *   return value is also larger, but it may be Infinity.
+   */
+  _distance(
+    queryWord,
+    phraseWord,
+    maxDistance = Infinity,
+    { prefix = false } = {}
+  ) {
+    let cache;
+    if (this._distanceCache) {
+      let cacheKey = prefix ? "prefix " + queryWord : queryWord;
+      cache = this._distanceCache.get(cacheKey);
+      if (!cache) {
+        cache = new Map();
+        this._distanceCache.set(cacheKey, cache);
+      }
+    }
+    let cached = cache && cache.get(phraseWord);
+    if (
+      cached &&
+      (cached.distance <= cached.maxDistance ||
+        maxDistance <= cached.maxDistance)
+    ) {
+      // Either the cached distance is exact, or it's only known to be larger
+      // than some maximum that's at least as large as this one.
+      return cached.distance;
+    }
 
-    for (i2 = 0; i2 <= l2; i2++) {
-      p1[i2] = i2 * costIns;
+    let distance;
+    if (typeof this._distanceFunction == "function") {
+      if (prefix) {
+        // Try each prefix.  The distance is at least the difference in
+        // lengths, so skip prefixes that can't beat the current minimum.
+        distance = Infinity;
+        for (let length = 1; length <= phraseWord.length; length++) {
+          if (Math.abs(length - queryWord.length) < distance) {
+            distance = Math.min(
+              distance,
+              this._distanceFunction(queryWord, phraseWord.substring(0, length))
+            );
+          }
+        }
+      } else {
+        distance = this._distanceFunction(queryWord, phraseWord);
+      }
+    } else {
+      distance = this._editDistance(queryWord, phraseWord, {
+        transpositions: this._distanceFunction == "damerau",
+        prefix,
+        maxDistance,
+      });
+    }
+    if (cache) {
+      cache.set(phraseWord, { distance, maxDistance });
     }
+    return distance;
+  }
+
+  /**
+   * Builds the map used to look up adjacent keys on a keyboard layout.
+   *
+   * @param {array} rows
+   *   The rows of keys in the layout.  See `KEYBOARD_LAYOUTS`.
+   * @return {Map}
+   *   Maps each character in the layout to a Set of the characters on adjacent
+   *   keys.
+   */
+  _buildAdjacentKeys(rows) {
+    let adjacentKeys = new Map();
+    rows.forEach((row, rowIndex) => {
+      for (let i = 0; i < row.length; i++) {
+        let keys = new Set([row[i - 1], row[i + 1]]);
+        // Rows are staggered so that each key touches the key directly above
+        // it and the one above and to the right, and similarly the key directly
+        // below it and the one below and to the left.
+        let above = rows[rowIndex - 1];
+        if (above) {
+          keys.add(above[i]).add(above[i + 1]);
+        }
+        let below = rows[rowIndex + 1];
+        if (below) {
+          keys.add(below[i - 1]).add(below[i]);
+        }
+        keys.delete(undefined);
+        adjacentKeys.set(row[i], keys);
+      }
+    });
+    return adjacentKeys;
+  }
 
-    for (i1 = 0; i1 < l1; i1++) {
-      p2[0] = p1[0] + costDel;
+  /**
+   * Calculates the edit distance between two words: either the Levenshtein
+   * distance or the Damerau-Levenshtein distance.  More precisely, the latter
+   * is the optimal string alignment distance, which counts a transposition of
+   * two adjacent characters as a single edit as long as neither character is
+   * edited again.  Replacements also take keyboard adjacency into account.
+   *
+   * Scoring only cares whether a distance is within some threshold, so this
+   * takes a maximum distance and stops early once it's clear that the distance
+   * is larger.  Since insertions and deletions each cost 1, the distance is at
+   * least the difference between the lengths of the two words' prefixes at any
+   * point in the computation, so only a band of the distance matrix around its
+   * diagonal needs to be computed.
+   *
+   * @param {string} word1
+   *   The first word.
+   * @param {string} word2
+   *   The second word.
+   * @param {boolean} transpositions
+   *   True to calculate the Damerau-Levenshtein distance, false for the
+   *   Levenshtein distance.
+   * @param {boolean} prefix
+   *   If true, returns the distance between `word1` and the closest non-empty
+   *   prefix of `word2`.  The last row of the distance matrix holds the
+   *   distances between `word1` and each prefix of `word2`, so this is simply
+   *   the minimum of that row.
+   * @param {number} maxDistance
+   *   The maximum distance of interest.
+   * @return {number}
+   *   The distance, or Infinity if it's larger than `maxDistance`.
+   */
+  _editDistance(
+    word1,
+    word2,
+    { transpositions = false, prefix = false, maxDistance = Infinity } = {}
+  ) {
+    if (word1 === word2) {
+      return 0;
+    }
 
-      for (i2 = 0; i2 < l2; i2++) {
-        c0 = p1[i2] + (word1[i1] === word2[i2] ? 0 : costRep);
-        c1 = p1[i2 + 1] + costDel;
+    let l1 = word1.length;
+    let l2 = word2.length;
+    if ((prefix ? l1 - l2 : Math.abs(l1 - l2)) > maxDistance) {
+      return Infinity;
+    }
 
-        if (c1 < c0) {
-          c0 = c1;
-        }
+    // Only cells in the distance matrix within `band` of the diagonal are
+    // computed.  The others are Infinity.
+    let band = Math.min(Math.floor(maxDistance), Math.max(l1, l2));
 
-        c2 = p2[i2] + costIns;
+    // Keep the last three rows of the distance matrix.  prevPrev is only needed
+    // for transpositions.
+    let rows = this._distanceRows;
+    let prevPrev = rows[0];
+    let prev = rows[1];
+    let current = rows[2];
+    for (let i2 = 0; i2 <= l2; i2++) {
+      prevPrev[i2] = prev[i2] = current[i2] = Infinity;
+    }
+    for (let i2 = 0; i2 <= band; i2++) {
+      prev[i2] = i2;
+    }
+    // The minimum distances in the computed cells of the previous and current
+    // rows.
+    let prevMin = 0;
+    let currentMin = Infinity;
 
-        if (c2 < c0) {
-          c0 = c2;
+    for (let i1 = 1; i1 <= l1; i1++) {
+      let start = Math.max(1, i1 - band);
+      let end = Math.min(l2, i1 + band);
+      current[start - 1] = start == 1 && i1 <= band ? i1 : Infinity;
+      if (end < l2) {
+        current[end + 1] = Infinity;
+      }
+      currentMin = Infinity;
+      for (let i2 = start; i2 <= end; i2++) {
+        let c1 = word1[i1 - 1];
+        let c2 = word2[i2 - 1];
+        let distance = Math.min(
+          prev[i2] + 1,
+          current[i2 - 1] + 1,
+          prev[i2 - 1] + this._substitutionCost(c1, c2)
+        );
+        if (
+          transpositions &&
+          i1 > 1 &&
+          i2 > 1 &&
+          c1 == word2[i2 - 2] &&
+          word1[i1 - 2] == c2
+        ) {
+          distance = Math.min(distance, prevPrev[i2 - 2] + 1);
         }
+        current[i2] = distance;
+        currentMin = Math.min(currentMin, distance);
+      }
 
-        p2[i2 + 1] = c0;
+      // Distances never decrease from one row to the next, except that a
+      // transposition looks back two rows.  If both of the last two rows are
+      // beyond the maximum, then so is the final distance.
+      let rowMin = Math.min(currentMin, current[start - 1]);
+      if (Math.min(rowMin, prevMin) > maxDistance) {
+        return Infinity;
       }
+      prevMin = rowMin;
 
-      tmp = p1;
-      p1 = p2;
-      p2 = tmp;
+      let row = prevPrev;
+      prevPrev = prev;
+      prev = current;
+      current = row;
     }
 
-    c0 = p1[l2];
+    // In the last row, the cells outside the band may contain stale values
+    // from earlier rows, but they're Infinity as far as we're concerned.
+    let distance = prefix ? currentMin : prev[l2];
+    return distance <= maxDistance ? distance : Infinity;
+  }
 
-    return c0;
+  /**
+   * Returns the cost of replacing one character with another.
+   *
+   * @param {string} char1
+   *   The character being replaced.
+   * @param {string} char2
+   *   The replacement character.
+   * @return {number}
+   *   0 if the characters are the same, `adjacentKeyCost` if they're on
+   *   adjacent keys in the keyboard layout, and 1 otherwise.
+   */
+  _substitutionCost(char1, char2) {
+    if (char1 == char2) {
+      return 0;
+    }
+    if (this._adjacentKeys) {
+      let keys = this._adjacentKeys.get(char1);
+      if (keys && keys.has(char2)) {
+        return this._adjacentKeyCost;
+      }
+    }
+    return 1;
   }
 }
 
@@ -309,5 +1741,10 @@ class Node {
     this.word = word;
     this.documents = new Set();
     this.childrenByWord = new Map();
+    // The largest distance threshold of this node's word among its documents.
+    this.maxDistanceThreshold = -Infinity;
+    // Maps documents whose phrases end at this node to info about the phrases.
+    // See `QueryScorer._buildPhraseTree`.
+    this.phrasesByDoc = new Map();
   }
 }
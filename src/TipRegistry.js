@@ -0,0 +1,632 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+// The survey policies a tip can have.  See the `survey` tip property.
+const SURVEY_POLICIES = ["always", "picked", "never"];
+
+// Matches placeholders like `{name}` in tip payloads.  See the `payload` tip
+// property.
+const PLACEHOLDER_REGEXP = /\{(\w+)\}/g;
+
+// The properties that tip payloads can have.  See the `payload` tip property.
+const PAYLOAD_PROPERTIES = ["text", "buttonText", "helpUrl"];
+
+// The properties of range preconditions.  See the `preconditions` tip property.
+const RANGE_PROPERTIES = ["min", "max"];
+
+// The algorithm used to sign catalogs: ECDSA with the P-256 curve and SHA-256.
+// See `TipRegistry.fromCatalog`.
+const SIGNATURE_KEY_ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+const SIGNATURE_ALGORITHM = { name: "ECDSA", hash: "SHA-256" };
+
+// The version of the catalog format.  See `TipRegistry.fromCatalog`.
+// Increment it when the format changes so that old catalogs are rejected.
+const CATALOG_VERSION = 1;
+
+/**
+ * This class holds the tips the add-on can show and decides which one to show
+ * for a query.  Tips are defined declaratively as plain JSON, so adding a tip
+ * means adding a definition instead of touching every urlbar listener.  The
+ * definitions are validated when the registry is created, and an invalid
+ * definition throws an error.  Definitions are usually loaded from a catalog
+ * with `fromCatalog`.
+ *
+ * The definitions object has two properties:
+ *
+ * documents
+ *   An array of QueryScorer documents: `{ id, phrases, excludePhrases,
+ *   excludeWords }`.  See `QueryScorer.addDocument`.  Each document must be
+ *   used by at least one tip.
+ * tips
+ *   An array of tip definitions.  Each tip has these properties:
+ *
+ *   id
+ *     A unique string.  It's the `type` of the tip's urlbar result and the key
+ *     in telemetry.
+ *   document
+ *     The ID of the document whose phrases trigger the tip.  Multiple tips can
+ *     share a document, in which case their preconditions decide which one is
+ *     shown.
+ *   priority
+ *     A number.  When multiple tips could be shown, the one with the highest
+ *     priority wins.  Ties go to the tip defined first.
+ *   preconditions (optional)
+ *     An object that maps precondition names to the values they must have for
+ *     the tip to be shown.  If the value is an array, the precondition must
+ *     have one of the values in it.  If the value is a range object like
+ *     `{ min, max }`, the precondition must be a number in the range,
+ *     inclusive.  Either bound may be omitted.  If the value is an object like
+ *     `{ not }`, the precondition must not have the value or one of the values
+ *     of `not`, which is useful for catch-all tips.  The names must be
+ *     preconditions passed to the constructor.
+ *   payload
+ *     `{ text, buttonText, helpUrl }` for the tip's urlbar result.  `helpUrl`
+ *     is optional, and other properties aren't allowed.  The strings may contain placeholders like `{name}`, which
+ *     are replaced with the values of the named preconditions when the tip is
+ *     found.  Array values are joined with commas.
+ *   action
+ *     `{ name, ...params }`, where `name` is the name of an action passed to
+ *     the constructor.  The params must be the ones the action takes.  See the
+ *     `actionParams` constructor param.  The action is called with this object
+ *     when the tip is picked.
+ *   restart (optional)
+ *     True if picking the tip restarts the browser.  Defaults to false.
+ *   survey (optional)
+ *     When the tip can open the survey: "always" when it's picked or ignored,
+ *     "picked" only when it's picked, or "never".  Defaults to "always".
+ */
+class TipRegistry {
+  /**
+   * @param {object} definitions
+   *   The tip and document definitions.  See the class comment.
+   * @param {object} preconditions
+   *   Maps precondition names to functions that return the current value of
+   *   the precondition.  The functions may be async.
+   * @param {object} actions
+   *   Maps action names to functions that perform the actions.  The functions
+   *   are passed the action objects of the tips being picked.
+   * @param {object} actionParams
+   *   Maps action names to the params that their action objects can have.
+   *   Each is an object that maps param names to `{ type, optional }`, where
+   *   `type` is the `typeof` the param's value.  String params can't be empty.
+   *   Actions that aren't in this object don't take params.
+   */
+  constructor(
+    definitions,
+    { preconditions = {}, actions = {}, actionParams = {} } = {}
+  ) {
+    this._preconditions = preconditions;
+    this._actions = actions;
+    this._actionParams = actionParams;
+    this._catalogHash = null;
+    this._validate(definitions);
+
+    this._documents = definitions.documents;
+    this._tips = definitions.tips
+      .map(tip => ({
+        preconditions: {},
+        restart: false,
+        survey: "always",
+        ...tip,
+      }))
+      .sort((a, b) => b.priority - a.priority);
+    this._tipsByID = new Map(this._tips.map(tip => [tip.id, tip]));
+  }
+
+  /**
+   * Makes a registry from a catalog, which is a JSON object with these
+   * properties:
+   *
+   * version
+   *   The version of the catalog format.  Must be `CATALOG_VERSION`.
+   * sha256
+   *   The hex SHA-256 hash of `JSON.stringify(definitions)`.  This is only an
+   *   integrity checksum that catches truncated and hand-edited catalogs.
+   *   Anyone can compute it, so it doesn't authenticate catalogs.
+   * signature (optional)
+   *   The base64 ECDSA P-256 SHA-256 signature of `JSON.stringify(definitions)`
+   *   in the raw format that WebCrypto uses.  It authenticates catalogs that
+   *   don't come with the add-on.  See the `publicKeys` param.
+   * definitions
+   *   The tip and document definitions.  See the class comment.
+   *
+   * @param {object} catalog
+   *   The catalog.
+   * @param {array} [publicKeys]
+   *   If given, the catalog must be signed by one of these keys.  Each key is a
+   *   public ECDSA P-256 key in JWK format.
+   * @param {object} options
+   *   The `preconditions`, `actions`, and `actionParams` to pass to the
+   *   constructor.
+   * @return {TipRegistry}
+   *   The registry.  Throws an error if the catalog is invalid.
+   */
+  static async fromCatalog(catalog, { publicKeys = null, ...options } = {}) {
+    if (!catalog || catalog.version !== CATALOG_VERSION) {
+      throw new Error(
+        `Unsupported tip catalog version: ${catalog && catalog.version}`
+      );
+    }
+    let hash = await TipRegistry.hashDefinitions(catalog.definitions);
+    if (catalog.sha256 !== hash) {
+      throw new Error("The tip catalog's hash doesn't match its definitions");
+    }
+    if (
+      publicKeys &&
+      !(await TipRegistry._isSignatureValid(catalog, publicKeys))
+    ) {
+      throw new Error("The tip catalog's signature isn't valid");
+    }
+    let registry = new TipRegistry(catalog.definitions, options);
+    registry._catalogHash = hash;
+    return registry;
+  }
+
+  /**
+   * Computes the hash of some definitions.  See `fromCatalog`.
+   *
+   * @param {object} definitions
+   *   The tip and document definitions.
+   * @return {string}
+   *   The hex SHA-256 hash of the definitions.
+   */
+  static async hashDefinitions(definitions) {
+    let bytes = new TextEncoder().encode(JSON.stringify(definitions));
+    let digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest), byte =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+  }
+
+  /**
+   * Checks whether a catalog is signed by one of some keys.  See
+   * `fromCatalog`.
+   *
+   * @param {object} catalog
+   *   The catalog.
+   * @param {array} publicKeys
+   *   The public keys in JWK format.
+   * @return {boolean}
+   *   True if the catalog has a signature and one of the keys verifies it.
+   */
+  static async _isSignatureValid(catalog, publicKeys) {
+    if (typeof catalog.signature != "string") {
+      return false;
+    }
+    let signature;
+    try {
+      signature = Uint8Array.from(atob(catalog.signature), c =>
+        c.charCodeAt(0)
+      );
+    } catch (error) {
+      return false;
+    }
+    let bytes = new TextEncoder().encode(JSON.stringify(catalog.definitions));
+    for (let jwk of publicKeys) {
+      let key = await crypto.subtle.importKey(
+        "jwk",
+        jwk,
+        SIGNATURE_KEY_ALGORITHM,
+        false,
+        ["verify"]
+      );
+      if (
+        await crypto.subtle.verify(SIGNATURE_ALGORITHM, key, signature, bytes)
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @return {string}
+   *   The hash of the catalog the registry was made from, or null if it wasn't
+   *   made from a catalog.
+   */
+  get catalogHash() {
+    return this._catalogHash;
+  }
+
+  /**
+   * @return {array}
+   *   The documents to add to the query scorer.
+   */
+  get documents() {
+    return this._documents;
+  }
+
+  /**
+   * @return {array}
+   *   All the tips, sorted by priority from highest to lowest.
+   */
+  get tips() {
+    return this._tips;
+  }
+
+  /**
+   * Gets a tip by ID.
+   *
+   * @param {string} id
+   *   The tip ID.
+   * @return {object}
+   *   The tip, or null if there isn't one with the ID.
+   */
+  get(id) {
+    return this._tipsByID.get(id) || null;
+  }
+
+  /**
+   * Finds the tip to show when some documents match a query.  Each
+   * precondition is evaluated at most once per call, and only if a candidate
+   * tip depends on it, so this should be called once per query.
+   *
+   * @param {array} documentIDs
+   *   The IDs of the documents that match the query.
+   * @return {object}
+   *   `{ tip, suppressedBy }`.  `tip` is the highest-priority tip of the
+   *   documents whose preconditions are met, or null if there isn't one.  If
+   *   the tip's payload has placeholders, a copy of the tip with the
+   *   placeholders filled in is returned.  If there isn't a tip but the
+   *   documents have candidate tips, `suppressedBy` is the name of the first
+   *   unmet precondition of the lowest-priority candidate, which is usually
+   *   the document's most general tip.  Otherwise it's null.
+   */
+  async findTip(documentIDs) {
+    let values = new Map();
+    let suppressedBy = null;
+    for (let tip of this._tips) {
+      if (!documentIDs.includes(tip.document)) {
+        continue;
+      }
+      let unmetName = await this._findUnmetPrecondition(tip, values);
+      if (!unmetName) {
+        let filledTip = await this._fillPlaceholders(tip, values);
+        return { tip: filledTip, suppressedBy: null };
+      }
+      suppressedBy = unmetName;
+    }
+    return { tip: null, suppressedBy };
+  }
+
+  /**
+   * Performs a tip's action.  This calls the action synchronously, so it can
+   * be used for actions that require user input.
+   *
+   * @param {object} tip
+   *   The tip.
+   * @return {*}
+   *   The return value of the action.
+   */
+  doAction(tip) {
+    return this._actions[tip.action.name](tip.action);
+  }
+
+  /**
+   * Checks whether a tip's preconditions are met.
+   *
+   * @param {object} tip
+   *   The tip.
+   * @param {Map} values
+   *   Precondition values that have already been evaluated, keyed by name.
+   *   Newly evaluated values are added to it.
+   * @return {string}
+   *   The name of the first precondition that isn't met, or null if all of them
+   *   are met.
+   */
+  async _findUnmetPrecondition(tip, values) {
+    for (let [name, expected] of Object.entries(tip.preconditions)) {
+      let value = await this._getValue(name, values);
+      if (!isPreconditionMet(value, expected)) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replaces the placeholders in a tip's payload with precondition values.
+   *
+   * @param {object} tip
+   *   The tip.
+   * @param {Map} values
+   *   Precondition values that have already been evaluated, keyed by name.
+   *   Newly evaluated values are added to it.
+   * @return {object}
+   *   The tip if its payload doesn't have placeholders, or a copy of the tip
+   *   with the placeholders filled in.
+   */
+  async _fillPlaceholders(tip, values) {
+    let names = new Set();
+    for (let str of Object.values(tip.payload)) {
+      for (let [, name] of str.matchAll(PLACEHOLDER_REGEXP)) {
+        names.add(name);
+      }
+    }
+    if (!names.size) {
+      return tip;
+    }
+
+    for (let name of names) {
+      await this._getValue(name, values);
+    }
+    let payload = {};
+    for (let [key, str] of Object.entries(tip.payload)) {
+      payload[key] = str.replace(PLACEHOLDER_REGEXP, (match, name) => {
+        let value = values.get(name);
+        return Array.isArray(value) ? value.join(", ") : String(value);
+      });
+    }
+    return { ...tip, payload };
+  }
+
+  /**
+   * Gets the value of a precondition, evaluating it if necessary.
+   *
+   * @param {string} name
+   *   The name of the precondition.
+   * @param {Map} values
+   *   Precondition values that have already been evaluated, keyed by name.
+   *   The value is added to it if it's not already present.
+   * @return {*}
+   *   The value.
+   */
+  async _getValue(name, values) {
+    if (!values.has(name)) {
+      values.set(name, await this._preconditions[name]());
+    }
+    return values.get(name);
+  }
+
+  /**
+   * Throws an error if the definitions are invalid.
+   *
+   * @param {object} definitions
+   *   The tip and document definitions.
+   */
+  _validate(definitions) {
+    if (
+      !definitions ||
+      !Array.isArray(definitions.documents) ||
+      !Array.isArray(definitions.tips)
+    ) {
+      throw new Error("Tip definitions must have documents and tips arrays");
+    }
+
+    let unusedDocumentIDs = new Set();
+    for (let doc of definitions.documents) {
+      let id = doc && doc.id;
+      if (!isNonEmptyString(id)) {
+        throw new Error("Document without an ID");
+      }
+      if (unusedDocumentIDs.has(id)) {
+        throw new Error(`Duplicate document: ${id}`);
+      }
+      if (!isStringArray(doc.phrases) || !doc.phrases.length) {
+        throw new Error(`Document ${id} must have phrases`);
+      }
+      for (let prop of ["excludePhrases", "excludeWords"]) {
+        if (prop in doc && !isStringArray(doc[prop])) {
+          throw new Error(`Document ${id} has an invalid ${prop}`);
+        }
+      }
+      unusedDocumentIDs.add(id);
+    }
+
+    let documentIDs = new Set(unusedDocumentIDs);
+    let tipIDs = new Set();
+    for (let tip of definitions.tips) {
+      let id = tip && tip.id;
+      if (!isNonEmptyString(id)) {
+        throw new Error("Tip without an ID");
+      }
+      if (tipIDs.has(id)) {
+        throw new Error(`Duplicate tip: ${id}`);
+      }
+      tipIDs.add(id);
+      this._validateTip(tip, documentIDs);
+      unusedDocumentIDs.delete(tip.document);
+    }
+
+    let [unusedDocumentID] = unusedDocumentIDs;
+    if (unusedDocumentID) {
+      throw new Error(`Document ${unusedDocumentID} isn't used by any tip`);
+    }
+  }
+
+  /**
+   * Throws an error if a tip definition is invalid.
+   *
+   * @param {object} tip
+   *   The tip definition.
+   * @param {Set} documentIDs
+   *   The IDs of all the documents.
+   */
+  _validateTip(tip, documentIDs) {
+    let { id, document, priority, preconditions, payload, action } = tip;
+    if (!documentIDs.has(document)) {
+      throw new Error(`Tip ${id} has an unknown document: ${document}`);
+    }
+    if (typeof priority != "number" || isNaN(priority)) {
+      throw new Error(`Tip ${id} must have a numeric priority`);
+    }
+    if (preconditions !== undefined) {
+      if (!preconditions || typeof preconditions != "object") {
+        throw new Error(`Tip ${id} has invalid preconditions`);
+      }
+      for (let [name, expected] of Object.entries(preconditions)) {
+        if (!hasOwn(this._preconditions, name)) {
+          throw new Error(`Tip ${id} has an unknown precondition: ${name}`);
+        }
+        if (isExclusion(expected)) {
+          if (Object.keys(expected).length > 1 || isObject(expected.not)) {
+            throw new Error(`Tip ${id} has an invalid exclusion for ${name}`);
+          }
+        } else if (isObject(expected) && !isRange(expected)) {
+          throw new Error(`Tip ${id} has an invalid range for ${name}`);
+        }
+      }
+    }
+    if (
+      !payload ||
+      !isNonEmptyString(payload.text) ||
+      !isNonEmptyString(payload.buttonText) ||
+      ("helpUrl" in payload && !isNonEmptyString(payload.helpUrl))
+    ) {
+      throw new Error(`Tip ${id} must have a payload with text and buttonText`);
+    }
+    for (let [key, str] of Object.entries(payload)) {
+      if (!PAYLOAD_PROPERTIES.includes(key)) {
+        throw new Error(`Tip ${id} has an unknown payload property: ${key}`);
+      }
+      for (let [, name] of str.matchAll(PLACEHOLDER_REGEXP)) {
+        if (!hasOwn(this._preconditions, name)) {
+          throw new Error(`Tip ${id} has an unknown placeholder: ${name}`);
+        }
+      }
+    }
+    if (!action || !hasOwn(this._actions, action.name)) {
+      throw new Error(`Tip ${id} must have a known action`);
+    }
+    this._validateActionParams(id, action);
+    if ("restart" in tip && typeof tip.restart != "boolean") {
+      throw new Error(`Tip ${id} has a non-boolean restart`);
+    }
+    if ("survey" in tip && !SURVEY_POLICIES.includes(tip.survey)) {
+      throw new Error(`Tip ${id} has an unknown survey policy: ${tip.survey}`);
+    }
+  }
+
+  /**
+   * Throws an error if a tip's action object doesn't have the params its
+   * action takes.  See the `actionParams` constructor param.
+   *
+   * @param {string} id
+   *   The ID of the tip.
+   * @param {object} action
+   *   The tip's action object.
+   */
+  _validateActionParams(id, action) {
+    let params = hasOwn(this._actionParams, action.name)
+      ? this._actionParams[action.name]
+      : {};
+    for (let [param, { type, optional = false }] of Object.entries(params)) {
+      if (!hasOwn(action, param)) {
+        if (!optional) {
+          throw new Error(`Tip ${id} has an action without a ${param}`);
+        }
+        continue;
+      }
+      let value = action[param];
+      if (typeof value != type || (type == "string" && !value)) {
+        throw new Error(`Tip ${id} has an action with an invalid ${param}`);
+      }
+    }
+    for (let param of Object.keys(action)) {
+      if (param != "name" && !hasOwn(params, param)) {
+        throw new Error(`Tip ${id} has an action with an unknown ${param}`);
+      }
+    }
+  }
+}
+
+/**
+ * Checks whether a precondition value is one of the values a tip expects.
+ *
+ * @param {*} value
+ *   The value of the precondition.
+ * @param {*} expected
+ *   The value, array of values, range object, or exclusion object the tip
+ *   expects.  See the `preconditions` tip property.
+ * @return {boolean}
+ *   True if the precondition is met.
+ */
+function isPreconditionMet(value, expected) {
+  if (Array.isArray(expected)) {
+    return expected.includes(value);
+  }
+  if (isExclusion(expected)) {
+    return !isPreconditionMet(value, expected.not);
+  }
+  if (isObject(expected)) {
+    return (
+      typeof value == "number" &&
+      !(value < expected.min) &&
+      !(value > expected.max)
+    );
+  }
+  return value === expected;
+}
+
+/**
+ * @param {object} object
+ *   Any object.
+ * @param {string} name
+ *   A property name.
+ * @return {boolean}
+ *   True if the object has its own property with the name.  Unlike the `in`
+ *   operator, this ignores inherited properties like "toString".
+ */
+function hasOwn(object, name) {
+  return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+/**
+ * @param {*} value
+ *   Any value.
+ * @return {boolean}
+ *   True if the value is a non-null object that isn't an array.
+ */
+function isObject(value) {
+  return !!value && typeof value == "object" && !Array.isArray(value);
+}
+
+/**
+ * @param {object} value
+ *   Any object.
+ * @return {boolean}
+ *   True if the object is a range with at least one numeric bound and no other
+ *   properties.
+ */
+function isRange(value) {
+  let keys = Object.keys(value);
+  return (
+    !!keys.length &&
+    keys.every(
+      key => RANGE_PROPERTIES.includes(key) && typeof value[key] == "number"
+    )
+  );
+}
+
+/**
+ * @param {*} value
+ *   Any value.
+ * @return {boolean}
+ *   True if the value is an exclusion object, i.e., it has a `not` property.
+ */
+function isExclusion(value) {
+  return isObject(value) && hasOwn(value, "not");
+}
+
+/**
+ * @param {*} value
+ *   Any value.
+ * @return {boolean}
+ *   True if the value is a non-empty string.
+ */
+function isNonEmptyString(value) {
+  return typeof value == "string" && !!value;
+}
+
+/**
+ * @param {*} value
+ *   Any value.
+ * @return {boolean}
+ *   True if the value is an array of strings.
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(v => typeof v == "string");
+}
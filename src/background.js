@@ -4,7 +4,7 @@
 
 "use strict";
 
-/* global QueryScorer */
+/* global QueryScorer, TipRegistry */
 
 // The possible study branches.
 const BRANCHES = {
@@ -12,100 +12,117 @@ const BRANCHES = {
   TREATMENT: "treatment",
 };
 
-// The possible tips to show.
-const TIPS = {
-  NONE: "",
-  CLEAR: "clear",
-  REFRESH: "refresh",
-
-  // There's an update available, but the user's pref says we should ask them to
-  // download and apply it.
-  UPDATE_ASK: "update_ask",
-
-  // The user's browser is up to date, but they triggered the update
-  // intervention.  We show this special refresh intervention instead.
-  UPDATE_REFRESH: "update_refresh",
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// The last word of a query is treated as the beginning of a phrase word only if
+// it's at least this long.  Otherwise tips would be shown after one or two
+// letters, like "firefox c".
+const MIN_PREFIX_LENGTH = 3;
+
+// Documents that match a query with a larger score or a smaller confidence
+// than these don't trigger tips.  See QueryScorer.topMatches.
+const MAX_SCORE = 2;
+const MIN_CONFIDENCE = 0.8;
+
+// The values of the preconditions that tips can have.  They can also be used as
+// placeholders in tip payloads.  See TipRegistry.js.
+const TIP_PRECONDITIONS = {
+  // The number of days since the last browser update, or since the profile was
+  // first used if it has no update history.  See profileAgeDays for the age of
+  // the profile.
+  daysSinceBrowserUpdate: async () => {
+    let date = await browser.experiments.urlbar.lastBrowserUpdateDate();
+    return Math.floor((Date.now() - date) / MS_PER_DAY);
+  },
+  defaultBrowser: () => browser.experiments.urlbar.isDefaultBrowser(),
+  // The name of the browser the user can import data from, or an empty string
+  // if there isn't one.  Detecting browsers is slow, so this is the only
+  // precondition that does it.  Tips check for a browser with `{ not: "" }`.
+  migrationBrowser: async () => {
+    let browsers = await browser.experiments.urlbar.getMigrationBrowsers();
+    return browsers.length ? browsers[0].name : "";
+  },
+  // Whether the browser is showing another notification, like an infobar.  Tips
+  // are suppressed while a notification is shown, unless they have this
+  // precondition.  See onBehaviorRequested.
+  notificationShown: () =>
+    browser.experiments.urlbar.isBrowserShowingNotification(),
+  // One of the runtime.PlatformOs values, like "win", "mac", or "linux".
+  os: async () => (await browser.runtime.getPlatformInfo()).os,
+  primaryPasswordSet: () => browser.experiments.urlbar.isPrimaryPasswordSet(),
+  privateWindow: async () => (await browser.windows.getLastFocused()).incognito,
+  // The number of days since the profile was created.
+  profileAgeDays: async () => {
+    let date = await browser.experiments.urlbar.profileCreationDate();
+    return Math.floor((Date.now() - date) / MS_PER_DAY);
+  },
+  trackingProtectionCategory: () =>
+    browser.experiments.urlbar.getTrackingProtectionCategory(),
+  updateStatus: () => browser.experiments.urlbar.getBrowserUpdateStatus(),
+  webPageSelected: async () =>
+    !!(await browser.experiments.urlbar.getSelectedTabHost()),
+};
 
-  // There's an update and it's been downloaded and applied.  The user needs to
-  // restart to finish.
-  UPDATE_RESTART: "update_restart",
+// The actions that tips can perform when they're picked.  See TipRegistry.js.
+// Some of these require user input, so they must call the experiment API
+// before awaiting anything.  See onResultPicked.
+const TIP_ACTIONS = {
+  clearSiteData: () => browser.experiments.urlbar.clearSiteData(),
+  dismiss: () => {},
+  enableStrictTrackingProtection: ({ confirmTitle, confirmText }) =>
+    browser.experiments.urlbar.enableStrictTrackingProtection(
+      confirmTitle,
+      confirmText
+    ),
+  installBrowserUpdateAndRestart: () =>
+    browser.experiments.urlbar.installBrowserUpdateAndRestart(),
+  openClearHistoryDialog: () =>
+    browser.experiments.urlbar.openClearHistoryDialog(),
+  openMigrationWizard: () => browser.experiments.urlbar.openMigrationWizard(),
+  openPasswordManager: () => browser.experiments.urlbar.openPasswordManager(),
+  openPrivateWindow: () => browser.experiments.urlbar.openPrivateWindow(),
+  openTrackingProtectionSettings: () =>
+    browser.experiments.urlbar.openTrackingProtectionSettings(),
+  openURL: ({ url }) => browser.tabs.create({ url }),
+  resetBrowser: () => browser.experiments.urlbar.resetBrowser(),
+  restartBrowser: ({ safeMode = false }) =>
+    browser.experiments.urlbar.restartBrowser(safeMode),
+  setDefaultBrowser: () => browser.experiments.urlbar.setDefaultBrowser(),
+};
 
-  // We can't update the browser or possibly even check for updates for some
-  // reason, so the user should download the latest version from the web.
-  UPDATE_WEB: "update_web",
+// The params that the tip actions take.  See TipRegistry.js.
+const TIP_ACTION_PARAMS = {
+  enableStrictTrackingProtection: {
+    confirmTitle: { type: "string" },
+    confirmText: { type: "string" },
+  },
+  openURL: { url: { type: "string" } },
+  restartBrowser: { safeMode: { type: "boolean", optional: true } },
 };
 
-// The search "documents" corresponding to each tip type.
-const DOCUMENTS = {
-  clear: [
-    "cache firefox",
-    "clear cache firefox",
-    "clear cache in firefox",
-    "clear cookies firefox",
-    "clear firefox cache",
-    "clear history firefox",
-    "cookies firefox",
-    "delete cookies firefox",
-    "delete history firefox",
-    "firefox cache",
-    "firefox clear cache",
-    "firefox clear cookies",
-    "firefox clear history",
-    "firefox cookie",
-    "firefox cookies",
-    "firefox delete cookies",
-    "firefox delete history",
-    "firefox history",
-    "firefox not loading pages",
-    "history firefox",
-    "how to clear cache",
-    "how to clear history",
-  ],
-  refresh: [
-    "firefox crashing",
-    "firefox keeps crashing",
-    "firefox not responding",
-    "firefox not working",
-    "firefox refresh",
-    "firefox slow",
-    "how to reset firefox",
-    "refresh firefox",
-    "reset firefox",
-  ],
-  update: [
-    "download firefox",
-    "download mozilla",
-    "firefox browser",
-    "firefox download",
-    "firefox for mac",
-    "firefox for windows",
-    "firefox free download",
-    "firefox install",
-    "firefox installer",
-    "firefox latest version",
-    "firefox mac",
-    "firefox quantum",
-    "firefox update",
-    "firefox version",
-    "firefox windows",
-    "get firefox",
-    "how to update firefox",
-    "install firefox",
-    "mozilla download",
-    "mozilla firefox 2019",
-    "mozilla firefox 2020",
-    "mozilla firefox download",
-    "mozilla firefox for mac",
-    "mozilla firefox for windows",
-    "mozilla firefox free download",
-    "mozilla firefox mac",
-    "mozilla firefox update",
-    "mozilla firefox windows",
-    "mozilla update",
-    "update firefox",
-    "update mozilla",
-    "www.firefox.com",
-  ],
+// The path of the tip catalog bundled with the add-on.  An updated catalog can
+// be loaded instead by setting storage.catalogURL.  See loadCatalog.
+const CATALOG_PATH = "catalog.json";
+
+// The protocols of the URLs that catalogs can be loaded from, besides the
+// add-on's own moz-extension: URLs.
+const CATALOG_URL_PROTOCOLS = new Set(["data:", "https:"]);
+
+// The public key that catalogs loaded from storage.catalogURL must be signed
+// with, in JWK format.  Catalogs define the URLs that tips open, so only signed
+// catalogs are trusted.  The bundled catalog is part of the signed add-on, so
+// it doesn't need a signature.  Tests can trust another key too.  See
+// browser.experiments.urlbar.getTestCatalogPublicKey and
+// TipRegistry.fromCatalog.
+//
+// The private key is not in this repo.  It's kept by the add-on's release
+// owners, who sign updated catalogs with scripts/sign-catalog.js.  See the
+// README.
+const CATALOG_PUBLIC_KEY = {
+  kty: "EC",
+  crv: "P-256",
+  x: "Erzj1cplCcJar4bWhCbZJtgrYMo4DK32Pm8sw7iv0OE",
+  y: "Dx2i92cBXlipTiGxa3ru13ewroMQGQbo5MMM4dPPRVs",
 };
 
 // Our browser.urlbar provider name.
@@ -117,6 +134,8 @@ const TELEMETRY_SHOWN_PART = "tipShownCount";
 const TELEMETRY_SHOWN = `${TELEMETRY_ROOT}.${TELEMETRY_SHOWN_PART}`;
 const TELEMETRY_PICKED_PART = "tipPickedCount";
 const TELEMETRY_PICKED = `${TELEMETRY_ROOT}.${TELEMETRY_PICKED_PART}`;
+const TELEMETRY_SUPPRESSED_PART = "tipSuppressedCount";
+const TELEMETRY_SUPPRESSED = `${TELEMETRY_ROOT}.${TELEMETRY_SUPPRESSED_PART}`;
 
 // We open this survey web page in certain cases.
 const SURVEY_URL = "https://qsurvey.mozilla.com/s3/Search-Interventions";
@@ -132,24 +151,93 @@ const MAX_SURVEY_OPEN_COUNT = 3;
 // The current study branch.
 let studyBranch;
 
-// The tip we should currently show.
-let currentTip = TIPS.NONE;
+// The tip we should currently show, or null if none.
+let currentTip = null;
+
+// The tips we can show.  Set by loadCatalog.
+let tipRegistry = null;
+
+// The catalog override URL that loadCatalog last tried, or null if there wasn't
+// one.
+let loadedCatalogURL = null;
+
+// Resolved when the current call to loadCatalog is done.
+let catalogPromise = Promise.resolve();
 
 // Object used to match the user's queries to tips.
 let queryScorer = new QueryScorer({
+  // Allow more fuzziness for longer words: no misspellings in words of 3 or
+  // fewer characters (so that "fox" and "for" don't match, for example), 1 in
+  // words of 4 to 7 characters, and 2 in words of 8 or more.
+  distanceThreshold: [0, 0, 0, 0, 1, 1, 1, 1, 2],
+  // Count transposed characters and mistyped adjacent keys as smaller typos.
+  distance: "damerau",
+  keyboardLayout: guessKeyboardLayout(),
+  // Use documents in the user's language.  The catalog's documents don't have
+  // locales because people search in English regardless of their language, so
+  // they're always used.  Localized documents can be added to the catalog with
+  // a `locale`.  Word segmentation lets queries in languages that don't
+  // separate words with spaces match them, but only in Firefox versions that
+  // have Intl.Segmenter.  Older ones split queries on whitespace instead.
+  locale: browser.i18n.getUILanguage(),
+  tokenizer: "segmenter",
+  // Match phrases anywhere in the query, so that "why is firefox slow" matches
+  // "firefox slow".  Words before and after the phrase cost a little so that
+  // tighter matches score better, but much less than a misspelled word.
+  matchAnywhere: true,
+  leadingWordPenalty: 0.1,
+  trailingWordPenalty: 0.1,
+  // Skip filler words in queries and phrases.  Each skipped word costs even
+  // less than a word before or after the phrase.
+  stopWords: new Set([
+    "a",
+    "an",
+    "do",
+    "does",
+    "for",
+    "how",
+    "i",
+    "in",
+    "is",
+    "my",
+    "of",
+    "on",
+    "the",
+    "to",
+  ]),
+  stopWordPenalty: 0.05,
   variations: new Map([
     // Recognize "fire fox", "fox fire", and "foxfire" as "firefox".
     ["firefox", ["fire fox", "fox fire", "foxfire"]],
     // Recognize "mozila" as "mozilla".  This will catch common mispellings
     // "mozila", "mozzila", and "mozzilla" (among others) due to the edit
-    // distance threshold of 1.
+    // distance threshold of 1 for words of this length.
     ["mozilla", ["mozila"]],
   ]),
+  // Match words that mean the same thing as words in the documents, like
+  // "erase history" for "clear history".  Each hop in the synonym graph costs
+  // half as much as a misspelled word.
+  synonyms: new Map([
+    ["clear", ["delete", "remove", "wipe"]],
+    ["delete", ["erase"]],
+    ["install", ["reinstall"]],
+    ["not responding", ["freezing", "frozen", "hanging"]],
+  ]),
+  synonymCost: 0.5,
+  // Treat "mozilla firefox" in queries as "firefox" so that the documents don't
+  // need "mozilla firefox" versions of all their "firefox" phrases.
+  queryVariations: new Map([
+    ["firefox", ["mozilla firefox", "mozila firefox"]],
+  ]),
 });
 
-// Tips shown in the current engagement (TIPS values).
+// Tips shown in the current engagement (tip IDs).
 let tipsShownInCurrentEngagement = new Set();
 
+// The reasons tips were suppressed in the current engagement, like
+// "suppressed_privateWindow".  See onBehaviorRequested.
+let suppressionsInCurrentEngagement = new Set();
+
 // Set to true when a tip is picked so that our onEngagement listener can know
 // whether an engagement happens due to that.
 let tipPicked = false;
@@ -157,75 +245,79 @@ let tipPicked = false;
 // True when we've opened the survey during a browser session.
 let openedSurveyInCurrentSession = false;
 
+/**
+ * Guesses the user's keyboard layout from the browser's UI language.  This is
+ * only a heuristic, but it's good enough for weighting typos.
+ *
+ * @returns {string}
+ *   "azerty", "qwerty", or "qwertz".
+ */
+function guessKeyboardLayout() {
+  let [language, region] = browser.i18n.getUILanguage().split("-");
+  switch (language) {
+    case "fr":
+      // French Canadians generally use QWERTY.
+      return region == "CA" ? "qwerty" : "azerty";
+    case "cs":
+    case "de":
+    case "hu":
+    case "sk":
+      return "qwertz";
+  }
+  return "qwerty";
+}
+
 /**
  * browser.urlbar.onBehaviorRequested listener.
  */
 async function onBehaviorRequested(query) {
-  currentTip = TIPS.NONE;
+  currentTip = null;
 
   if (!query.searchString) {
     return "inactive";
   }
 
-  // Get the scores and the top score.
-  let docScores = queryScorer.score(query.searchString);
-  let topDocScore = docScores[0];
+  // Wait for the catalog in case it's being reloaded.
+  await catalogPromise;
+
+  // Get the top-scoring docs.  Multiple docs may have the top score.  This
+  // listener is called as the user types, so unless the search string ends in
+  // a space, the user may still be typing its last word.  Don't treat it as
+  // incomplete until it's long enough to say much about what it will be.
+  let [lastWord] = query.searchString.match(/\S*$/);
+  let [topMatches = []] = queryScorer.topMatches(query.searchString, {
+    incompleteLastWord: lastWord.length >= MIN_PREFIX_LENGTH,
+    maxScore: MAX_SCORE,
+    minConfidence: MIN_CONFIDENCE,
+  });
 
-  // Multiple docs may have the top score, so collect them all.
-  let topDocIDs = new Set();
-  if (topDocScore.score != Infinity) {
-    for (let { score, document } of docScores) {
-      if (score != topDocScore.score) {
-        break;
-      }
-      topDocIDs.add(document.id);
-    }
+  // Determine the tip to show, if any.  The registry picks the highest-priority
+  // tip of the top docs whose preconditions are met.  If the docs' tips were
+  // all suppressed by their preconditions, record why.
+  let { tip, suppressedBy } = await tipRegistry.findTip(
+    topMatches.map(({ document }) => document.id)
+  );
+  if (suppressedBy) {
+    suppressionsInCurrentEngagement.add(`suppressed_${suppressedBy}`);
+  }
+  if (!tip) {
+    return "inactive";
   }
 
-  // Determine the tip to show, if any.  If there are multiple top-score docs,
-  // prefer them in the following order.
-  if (topDocIDs.has("update")) {
-    // There are several update tips.  Figure out which one to show.
-    let status = await browser.experiments.urlbar.getBrowserUpdateStatus();
-    switch (status) {
-      case "downloading":
-      case "staging":
-      case "readyForRestart":
-        // Prompt the user to restart.
-        currentTip = TIPS.UPDATE_RESTART;
-        break;
-      case "downloadAndInstall":
-        // There's an update available, but the user's pref says we should ask
-        // them to download and apply it.
-        currentTip = TIPS.UPDATE_ASK;
-        break;
-      case "noUpdatesFound":
-        // We show a special refresh tip when the browser is up to date.
-        currentTip = TIPS.UPDATE_REFRESH;
-        break;
-      case "checking":
-        // The browser is checking for an update.  There's not much we can do in
-        // this case without implementing a decent self-updating progress UI, so
-        // just don't show anything.
-        return "inactive";
-      default:
-        // Give up and ask the user to download the latest version from the web.
-        currentTip = TIPS.UPDATE_WEB;
-        break;
-    }
-  } else if (
-    topDocIDs.has("clear") &&
-    !(await browser.windows.getLastFocused()).incognito
+  // Don't stack the tip on top of another notification, like an update
+  // doorhanger or an infobar.  The tip can be shown again on a later query once
+  // the notification is gone.  Tips with the notificationShown precondition
+  // have already decided whether they can be shown with a notification.
+  if (
+    !("notificationShown" in tip.preconditions) &&
+    (await browser.experiments.urlbar.isBrowserShowingNotification())
   ) {
-    currentTip = TIPS.CLEAR;
-  } else if (topDocIDs.has("refresh")) {
-    currentTip = TIPS.REFRESH;
-  } else {
-    // No tip.
+    suppressionsInCurrentEngagement.add("suppressed_notification");
     return "inactive";
   }
 
-  tipsShownInCurrentEngagement.add(currentTip);
+  currentTip = tip;
+  tipsShownInCurrentEngagement.add(currentTip.id);
 
   return studyBranch == BRANCHES.TREATMENT ? "active" : "inactive";
 }
@@ -239,52 +331,10 @@ async function onResultsRequested(query) {
     source: "local",
     suggestedIndex: 1,
     payload: {
-      type: currentTip,
+      ...currentTip.payload,
+      type: currentTip.id,
     },
   };
-
-  switch (currentTip) {
-    case TIPS.CLEAR:
-      result.payload.text = "Clear Firefox’s cache, cookies, history and more.";
-      result.payload.buttonText = "Choose What to Clear…";
-      result.payload.helpUrl =
-        "https://support.mozilla.org/kb/delete-browsing-search-download-history-firefox";
-      break;
-    case TIPS.REFRESH:
-      result.payload.text =
-        "Restore default settings and remove old add-ons for optimal performance.";
-      result.payload.buttonText = "Refresh Firefox…";
-      result.payload.helpUrl =
-        "https://support.mozilla.org/kb/refresh-firefox-reset-add-ons-and-settings";
-      break;
-    case TIPS.UPDATE_ASK:
-      result.payload.text = "A new version of Firefox is available.";
-      result.payload.buttonText = "Install and Restart to Update";
-      result.payload.helpUrl =
-        "https://support.mozilla.org/kb/update-firefox-latest-release";
-      break;
-    case TIPS.UPDATE_REFRESH:
-      result.payload.text =
-        "Firefox is up to date. Trying to fix a problem? Restore default settings and remove old add-ons for optimal performance.";
-      result.payload.buttonText = "Refresh Firefox…";
-      result.payload.helpUrl =
-        "https://support.mozilla.org/kb/refresh-firefox-reset-add-ons-and-settings";
-      break;
-    case TIPS.UPDATE_RESTART:
-      result.payload.text =
-        "The latest Firefox is downloaded and ready to install.";
-      result.payload.buttonText = "Restart to Update";
-      result.payload.helpUrl =
-        "https://support.mozilla.org/kb/update-firefox-latest-release";
-      break;
-    case TIPS.UPDATE_WEB:
-      result.payload.text = "Get the latest Firefox browser.";
-      result.payload.buttonText = "Download Now";
-      result.payload.helpUrl =
-        "https://support.mozilla.org/kb/update-firefox-latest-release";
-      break;
-  }
-
   return [result];
 }
 
@@ -296,65 +346,48 @@ async function onResultsRequested(query) {
  * comment below.
  */
 function onResultPicked(payload) {
-  let tip = payload.type;
+  // The catalog may have been reloaded since the tip was shown, and the new one
+  // may not have the tip anymore.
+  let tip = tipRegistry.get(payload.type);
+  if (!tip) {
+    console.debug(`Picked tip is no longer in the catalog: ${payload.type}`);
+    return;
+  }
 
   // Set tipPicked so our onEngagement listener knows a tip was picked.
   tipPicked = true;
 
-  // Update picked-count telemetry.
-  browser.telemetry.keyedScalarAdd(TELEMETRY_PICKED, tip, 1);
-
-  // We open a survey 100% of the time a tip is picked.  If the browser will not
-  // restart due to the user's picking the tip, we open the survey now (below).
-  // If the browser will restart, we open the survey after restart (in enroll).
-
-  // Determine whether the browser will restart.  REFRESH and UPDATE_REFRESH are
-  // special cases.  We'll show the reset-profile dialog.  If the user cancels
-  // it, nothing happens.  If they accept it, then the browser will restart and
-  // all add-ons will be uninstalled, including this one.  So the only way they
-  // would see a survey is if they cancel.  Therefore we open the survey now for
-  // those tips.
-  let willRestart = false;
-  switch (tip) {
-    case TIPS.UPDATE_ASK:
-    case TIPS.UPDATE_RESTART:
-      willRestart = true;
-      break;
+  // Update picked-count telemetry.  Dismissing a tip only acknowledges it, so
+  // it doesn't count as a pick.
+  if (tip.action.name != "dismiss") {
+    browser.telemetry.keyedScalarAdd(TELEMETRY_PICKED, tip.id, 1);
   }
 
+  // Unless the tip's survey policy is "never", we open a survey 100% of the
+  // time a tip is picked.  If the browser will not restart due to the user's
+  // picking the tip, we open the survey now (below).  If the browser will
+  // restart, we open the survey after restart (in enroll).
+  let openSurvey = tip.survey != "never";
+
   // If we're restarting, save the picked tip type in storage.
-  if (willRestart) {
-    browser.storage.local.set({ surveyToOpenOnStartup: tip });
+  if (tip.restart && openSurvey) {
+    browser.storage.local.set({ surveyToOpenOnStartup: tip.id });
   }
 
   // Do the tip action.
   //
-  // IMPORTANT: Don't `await` anything before this!  Some of these functions we
-  // are declared with `requireUserInput` and therefore must be called directly
-  // by a click, keypress, etc.  That means they must be called on the same
-  // stack as the initial user input event.  Otherwise they'll fail.
-  switch (tip) {
-    case TIPS.CLEAR:
-      browser.experiments.urlbar.openClearHistoryDialog();
-      break;
-    case TIPS.REFRESH:
-    case TIPS.UPDATE_REFRESH:
-      browser.experiments.urlbar.resetBrowser();
-      break;
-    case TIPS.UPDATE_ASK:
-      browser.experiments.urlbar.installBrowserUpdateAndRestart();
-      break;
-    case TIPS.UPDATE_RESTART:
-      browser.experiments.urlbar.restartBrowser();
-      break;
-    case TIPS.UPDATE_WEB:
-      browser.tabs.create({ url: "https://www.mozilla.org/firefox/new/" });
-      break;
-  }
+  // IMPORTANT: Don't `await` anything before this!  Some of the actions are
+  // declared with `requireUserInput` and therefore must be called directly by a
+  // click, keypress, etc.  That means they must be called on the same stack as
+  // the initial user input event.  Otherwise they'll fail.  The promise
+  // executor runs synchronously, so the action is still called on this stack.
+  new Promise(resolve => resolve(tipRegistry.doAction(tip))).catch(error =>
+    console.error(`Error doing the action of tip ${tip.id}`, error)
+  );
 
   // If we're not restarting, open the survey now.
-  if (!willRestart) {
-    maybeOpenSurvey([tip], "picked");
+  if (!tip.restart && openSurvey) {
+    maybeOpenSurvey([tip.id], "picked");
   }
 }
 
@@ -454,6 +487,20 @@ async function maybeOpenSurvey(tips, action) {
  * stops.
  */
 async function onEngagement(state) {
+  if (state == "start") {
+    // Pick up changes to the catalog override URL.
+    catalogPromise = catalogPromise
+      .then(loadCatalog)
+      .catch(error => console.error("Error reloading the tip catalog", error));
+  }
+
+  if (["engagement", "abandonment"].includes(state)) {
+    for (let reason of suppressionsInCurrentEngagement) {
+      browser.telemetry.keyedScalarAdd(TELEMETRY_SUPPRESSED, reason, 1);
+    }
+  }
+  suppressionsInCurrentEngagement.clear();
+
   if (!tipsShownInCurrentEngagement.size) {
     return;
   }
@@ -464,6 +511,14 @@ async function onEngagement(state) {
       browser.telemetry.keyedScalarAdd(TELEMETRY_SHOWN, tip, 1);
     }
 
+    // Only tips whose survey policy is "always" can open the survey when
+    // they're ignored.  Tips that were removed from the catalog since they were
+    // shown can't.
+    let surveyTips = tips.filter(id => {
+      let tip = tipRegistry.get(id);
+      return tip && tip.survey == "always";
+    });
+
     // Tips were shown during the engagement, but at this point we don't know
     // whether the user picked one (because onEngagement is fired before
     // onResultPicked, unfortunately).  So wait a bit to see if onResultPicked
@@ -471,8 +526,8 @@ async function onEngagement(state) {
     // and we may need to open the survey.
     tipPicked = false;
     setTimeout(() => {
-      if (!tipPicked) {
-        maybeOpenSurvey(tips, "ignored");
+      if (!tipPicked && surveyTips.length) {
+        maybeOpenSurvey(surveyTips, "ignored");
       }
     }, 200);
   }
@@ -522,8 +577,8 @@ async function enroll() {
   // Enable urlbar engagement event telemetry.
   await browser.experiments.urlbar.engagementTelemetry.set({ value: true });
 
-  // Register scalar telemetry.  We increment keyed scalars when we show a tip
-  // and when the user picks a tip.
+  // Register scalar telemetry.  We increment keyed scalars when we show a tip,
+  // when the user picks a tip, and when a tip's preconditions suppress it.
   await browser.telemetry.registerScalars(TELEMETRY_ROOT, {
     [TELEMETRY_SHOWN_PART]: {
       kind: "count",
@@ -535,12 +590,16 @@ async function enroll() {
       keyed: true,
       record_on_release: true,
     },
+    [TELEMETRY_SUPPRESSED_PART]: {
+      kind: "count",
+      keyed: true,
+      record_on_release: true,
+    },
   });
 
-  // Initialize the query scorer.
-  for (let [id, phrases] of Object.entries(DOCUMENTS)) {
-    queryScorer.addDocument({ id, phrases });
-  }
+  // Load the tips and initialize the query scorer.
+  catalogPromise = loadCatalog();
+  await catalogPromise;
 
   // Trigger a browser update check.  (This won't actually check if updates are
   // disabled for some reason, e.g., by policy.)
@@ -556,6 +615,145 @@ async function enroll() {
   sendTestMessage("enrolled");
 }
 
+/**
+ * Loads the tip catalog and swaps its tips and documents in for the current
+ * ones.  If storage.catalogURL is set, the catalog at that URL is loaded, and
+ * if it's missing or invalid, the bundled catalog is loaded instead.  Each
+ * override URL is only tried once, so this does nothing unless the URL has
+ * changed since the last call.
+ */
+async function loadCatalog() {
+  let { catalogURL = null } = await browser.storage.local.get("catalogURL");
+  if (tipRegistry && catalogURL == loadedCatalogURL) {
+    return;
+  }
+  loadedCatalogURL = catalogURL;
+
+  let registry = null;
+  if (catalogURL) {
+    let publicKeys = [CATALOG_PUBLIC_KEY];
+    let testPublicKey = await browser.experiments.urlbar.getTestCatalogPublicKey();
+    if (testPublicKey) {
+      publicKeys.push(testPublicKey);
+    }
+    try {
+      registry = await fetchTipRegistry(catalogURL, publicKeys);
+    } catch (error) {
+      console.error(
+        `Error loading the tip catalog at ${catalogURL}, using the bundled catalog instead`,
+        error
+      );
+    }
+  }
+  if (!registry) {
+    registry = await fetchTipRegistry(browser.runtime.getURL(CATALOG_PATH));
+  }
+
+  let oldRegistry = tipRegistry;
+  tipRegistry = registry;
+  if (!oldRegistry) {
+    await initQueryScorer();
+    return;
+  }
+  if (oldRegistry.catalogHash == registry.catalogHash) {
+    return;
+  }
+
+  // Swap in the new documents.  Only documents that changed need to be
+  // updated, and documents that aren't in the new catalog are removed.
+  let oldDocuments = new Map(
+    oldRegistry.documents.map(doc => [doc.id, JSON.stringify(doc)])
+  );
+  let newDocumentIDs = new Set(registry.documents.map(doc => doc.id));
+  for (let id of oldDocuments.keys()) {
+    if (!newDocumentIDs.has(id)) {
+      queryScorer.removeDocument(id);
+    }
+  }
+  for (let doc of registry.documents) {
+    if (oldDocuments.get(doc.id) != JSON.stringify(doc)) {
+      queryScorer.updateDocument(doc);
+    }
+  }
+  await cacheQueryScorer();
+}
+
+/**
+ * Fetches a tip catalog and makes a registry from it.
+ *
+ * @param {string} url
+ *   The URL of the catalog.  Must be one of the add-on's URLs or have one of
+ *   the `CATALOG_URL_PROTOCOLS`.
+ * @param {array} [publicKeys]
+ *   If given, the catalog must be signed by one of these keys.  See
+ *   TipRegistry.fromCatalog.
+ * @return {TipRegistry}
+ *   The registry.  Throws an error if the URL isn't allowed or the catalog
+ *   can't be fetched or is invalid.
+ */
+async function fetchTipRegistry(url, publicKeys = null) {
+  if (
+    !CATALOG_URL_PROTOCOLS.has(new URL(url).protocol) &&
+    !url.startsWith(browser.runtime.getURL(""))
+  ) {
+    throw new Error(`Tip catalogs can't be loaded from ${url}`);
+  }
+  let response = await fetch(url, { cache: "no-cache" });
+  if (!response.ok) {
+    throw new Error(`Unexpected response status: ${response.status}`);
+  }
+  return TipRegistry.fromCatalog(await response.json(), {
+    publicKeys,
+    preconditions: TIP_PRECONDITIONS,
+    actions: TIP_ACTIONS,
+    actionParams: TIP_ACTION_PARAMS,
+  });
+}
+
+/**
+ * Adds the documents to the query scorer.  Building the scorer's phrase tree
+ * takes a while, so the scorer is cached in storage and restored from there
+ * unless the catalog or the scorer's options have changed since.
+ */
+async function initQueryScorer() {
+  // The cached scorer may have been built by a different version of the add-on
+  // or with a different keyboard layout than the current one.
+  let { queryScorerCache } = await browser.storage.local.get(
+    "queryScorerCache"
+  );
+  if (
+    queryScorerCache &&
+    queryScorerCache.catalogHash == tipRegistry.catalogHash &&
+    JSON.stringify(queryScorerCache.scorer.options) ==
+      JSON.stringify(queryScorer.toJSON().options)
+  ) {
+    try {
+      queryScorer = QueryScorer.fromJSON(queryScorerCache.scorer);
+      return;
+    } catch (error) {
+      console.error("Error restoring the cached query scorer", error);
+    }
+  }
+
+  for (let doc of tipRegistry.documents) {
+    queryScorer.addDocument(doc);
+  }
+  await cacheQueryScorer();
+}
+
+/**
+ * Saves the query scorer in storage, keyed by the hash of the current catalog.
+ * See initQueryScorer.
+ */
+async function cacheQueryScorer() {
+  await browser.storage.local.set({
+    queryScorerCache: {
+      catalogHash: tipRegistry.catalogHash,
+      scorer: queryScorer.toJSON(),
+    },
+  });
+}
+
 /**
  * Logs a debug message, which the test harness interprets as a message the
  * add-on is sending to the test.  See head.js for info.
@@ -14,12 +14,16 @@ XPCOMUtils.defineLazyModuleGetters(this, {
   AppMenuNotifications: "resource://gre/modules/AppMenuNotifications.jsm",
   AppUpdater: "resource:///modules/AppUpdater.jsm",
   BrowserWindowTracker: "resource:///modules/BrowserWindowTracker.jsm",
+  LoginHelper: "resource://gre/modules/LoginHelper.jsm",
+  MigrationUtils: "resource:///modules/MigrationUtils.jsm",
   Preferences: "resource://gre/modules/Preferences.jsm",
   ProfileAge: "resource://gre/modules/ProfileAge.jsm",
   Services: "resource://gre/modules/Services.jsm",
   ResetProfile: "resource://gre/modules/ResetProfile.jsm",
   PrivateBrowsingUtils: "resource://gre/modules/PrivateBrowsingUtils.jsm",
   Sanitizer: "resource:///modules/Sanitizer.jsm",
+  ShellService: "resource:///modules/ShellService.jsm",
+  SiteDataManager: "resource:///modules/SiteDataManager.jsm",
 });
 
 XPCOMUtils.defineLazyServiceGetter(
@@ -35,8 +39,51 @@ XPCOMUtils.defineLazyServiceGetter(
   "nsIUpdateManager"
 );
 
+XPCOMUtils.defineLazyServiceGetter(
+  this,
+  "tokenDB",
+  "@mozilla.org/security/pk11tokendb;1",
+  "nsIPK11TokenDB"
+);
+
 XPCOMUtils.defineLazyGetter(this, "appUpdater", () => new AppUpdater());
 
+// The data that the clear-site tip clears: the same data that clearing a site's
+// data in preferences clears.
+const SITE_DATA_FLAGS =
+  Ci.nsIClearDataService.CLEAR_COOKIES |
+  Ci.nsIClearDataService.CLEAR_DOM_STORAGES |
+  Ci.nsIClearDataService.CLEAR_SECURITY_SETTINGS |
+  Ci.nsIClearDataService.CLEAR_EME |
+  Ci.nsIClearDataService.CLEAR_ALL_CACHES |
+  Ci.nsIClearDataService.CLEAR_PERMISSIONS;
+
+// The pref that tests set to a public key, in JWK format, that tip catalogs
+// loaded from storage.catalogURL can be signed with.  It's only read in
+// automation, so it can't be used to make the production add-on trust another
+// key.
+const TEST_CATALOG_PUBLIC_KEY_PREF =
+  "extensions.urlbar-interventions.testCatalogPublicKey";
+
+// The pref that stores the Enhanced Tracking Protection category: "standard",
+// "strict", or "custom".
+const TRACKING_PROTECTION_CATEGORY_PREF = "browser.contentblocking.category";
+
+// The browsers that the migration wizard can import from, keyed by their
+// MigrationUtils migrator keys, in the order we list them.
+const MIGRATION_BROWSER_NAMES = {
+  chrome: "Chrome",
+  "chromium-edge": "Microsoft Edge",
+  edge: "Microsoft Edge",
+  safari: "Safari",
+  ie: "Internet Explorer",
+  chromium: "Chromium",
+  "chrome-beta": "Chrome Beta",
+  canary: "Chrome Canary",
+  "chromium-edge-beta": "Microsoft Edge Beta",
+  "360se": "360 Secure Browser",
+};
+
 XPCOMUtils.defineLazyGetter(this, "appUpdaterStatusToStringMap", () => {
   // The AppUpdater.STATUS values have uppercase, underscored names like
   // READY_FOR_RESTART.  The statuses we return from this API are camel-cased
@@ -71,6 +118,44 @@ this.experiments_urlbar = class extends ExtensionAPI {
             appUpdater.check();
           },
 
+          async clearSiteData() {
+            let window = BrowserWindowTracker.getTopWindow();
+            let host = getSelectedTabHost(window);
+            if (!host) {
+              return;
+            }
+            if (!SiteDataManager.promptSiteDataRemoval(window, [host])) {
+              return;
+            }
+            // SiteDataManager.remove throws for hosts that aren't in its list
+            // of sites, like hosts that only have cookies, so clear the host's
+            // data directly.
+            let failedFlags = await new Promise(resolve => {
+              Services.clearData.deleteDataFromHost(
+                host,
+                true,
+                SITE_DATA_FLAGS,
+                resolve
+              );
+            });
+            if (failedFlags) {
+              throw new Error(
+                `Failed to clear some data for ${host}: ${failedFlags}`
+              );
+            }
+          },
+
+          enableStrictTrackingProtection(title, text) {
+            let window = BrowserWindowTracker.getTopWindow();
+            let confirmed = Services.prompt.confirm(window, title, text);
+            if (confirmed) {
+              Services.prefs.setStringPref(
+                TRACKING_PROTECTION_CATEGORY_PREF,
+                "strict"
+              );
+            }
+          },
+
           engagementTelemetry: this._getDefaultSettingsAPI(
             "browser.urlbar.eventTelemetry.enabled"
           ),
@@ -79,6 +164,42 @@ this.experiments_urlbar = class extends ExtensionAPI {
             return appUpdaterStatusToStringMap.get(appUpdater.status);
           },
 
+          async getMigrationBrowsers() {
+            let browsers = [];
+            for (let [key, name] of Object.entries(MIGRATION_BROWSER_NAMES)) {
+              if (await MigrationUtils.getMigrator(key)) {
+                browsers.push({ key, name });
+              }
+            }
+            // List the user's default browser first.  Array.sort is stable.
+            let defaultKey = MigrationUtils.getMigratorKeyForDefaultBrowser();
+            return browsers.sort(
+              (a, b) => (b.key == defaultKey) - (a.key == defaultKey)
+            );
+          },
+
+          getSelectedTabHost() {
+            return getSelectedTabHost(BrowserWindowTracker.getTopWindow());
+          },
+
+          getTestCatalogPublicKey() {
+            if (!Cu.isInAutomation) {
+              return null;
+            }
+            let key = Services.prefs.getStringPref(
+              TEST_CATALOG_PUBLIC_KEY_PREF,
+              ""
+            );
+            return key ? JSON.parse(key) : null;
+          },
+
+          getTrackingProtectionCategory() {
+            return Services.prefs.getStringPref(
+              TRACKING_PROTECTION_CATEGORY_PREF,
+              "standard"
+            );
+          },
+
           installBrowserUpdateAndRestart() {
             if (appUpdater.status != AppUpdater.STATUS.DOWNLOAD_AND_INSTALL) {
               return Promise.resolve();
@@ -107,11 +228,10 @@ this.experiments_urlbar = class extends ExtensionAPI {
           isBrowserShowingNotification() {
             let window = BrowserWindowTracker.getTopWindow();
 
-            // urlbar view and notification box (info bar)
-            if (
-              window.gURLBar.view.isOpen ||
-              window.gBrowser.getNotificationBox().currentNotification
-            ) {
+            // notification box (info bar).  Don't check whether the urlbar
+            // view is open: it's always open while the user is typing, which
+            // is when tips are shown.
+            if (window.gBrowser.getNotificationBox().currentNotification) {
               return true;
             }
 
@@ -160,6 +280,14 @@ this.experiments_urlbar = class extends ExtensionAPI {
             return false;
           },
 
+          isDefaultBrowser() {
+            return ShellService.isDefaultBrowser(false, false);
+          },
+
+          isPrimaryPasswordSet() {
+            return tokenDB.getInternalKeyToken().hasPassword;
+          },
+
           async lastBrowserUpdateDate() {
             // Get the newest update in the update history.  This isn't perfect
             // because these dates are when updates are applied, not when the
@@ -173,6 +301,29 @@ this.experiments_urlbar = class extends ExtensionAPI {
             return (await age.firstUse) || age.created;
           },
 
+          openMigrationWizard() {
+            MigrationUtils.showMigrationWizard(
+              BrowserWindowTracker.getTopWindow(),
+              [MigrationUtils.MIGRATION_ENTRYPOINT_UNKNOWN]
+            );
+          },
+
+          openPasswordManager() {
+            LoginHelper.openPasswordManager(
+              BrowserWindowTracker.getTopWindow()
+            );
+          },
+
+          openPrivateWindow() {
+            let window = BrowserWindowTracker.getTopWindow();
+            window.OpenBrowserWindow({ private: true });
+          },
+
+          openTrackingProtectionSettings() {
+            let window = BrowserWindowTracker.getTopWindow();
+            window.openPreferences("privacy-trackingprotection");
+          },
+
           openViewOnFocus: this._getDefaultSettingsAPI(
             "browser.urlbar.openViewOnFocus"
           ),
@@ -187,8 +338,20 @@ this.experiments_urlbar = class extends ExtensionAPI {
             Sanitizer.showUI(window);
           },
 
-          restartBrowser() {
-            restartBrowser();
+          async profileCreationDate() {
+            let age = await ProfileAge();
+            return age.created;
+          },
+
+          restartBrowser(safeMode) {
+            if (safeMode && !Services.appinfo.inSafeMode) {
+              // Ask the user to confirm first, like the Help menu's "Restart
+              // with Add-ons Disabled" item does.
+              let window = BrowserWindowTracker.getTopWindow();
+              window.safeModeRestart();
+              return;
+            }
+            restartBrowser(safeMode);
           },
 
           resetBrowser() {
@@ -198,6 +361,10 @@ this.experiments_urlbar = class extends ExtensionAPI {
             let window = BrowserWindowTracker.getTopWindow();
             ResetProfile.openConfirmationDialog(window);
           },
+
+          setDefaultBrowser() {
+            ShellService.setDefaultBrowser(true, false);
+          },
         },
       },
     };
@@ -247,7 +414,30 @@ this.experiments_urlbar = class extends ExtensionAPI {
   }
 };
 
-function restartBrowser() {
+/**
+ * Returns the host of the web page in a window's selected tab.
+ *
+ * @param {window} window
+ *   A browser window.
+ * @return {string}
+ *   The host, or an empty string if the tab isn't showing a web page.
+ */
+function getSelectedTabHost(window) {
+  let uri = window.gBrowser.currentURI;
+  if (!["http", "https"].includes(uri.scheme)) {
+    return "";
+  }
+  return uri.host;
+}
+
+/**
+ * Restarts the browser unless something cancels the restart.
+ *
+ * @param {boolean} safeMode
+ *   True to restart in safe mode.  The browser also restarts in safe mode if
+ *   it's currently in safe mode.
+ */
+function restartBrowser(safeMode = false) {
   // Notify all windows that an application quit has been requested.
   let cancelQuit = Cc["@mozilla.org/supports-PRBool;1"].createInstance(
     Ci.nsISupportsPRBool
@@ -261,8 +451,8 @@ function restartBrowser() {
   if (cancelQuit.data) {
     return;
   }
-  // If already in safe mode restart in safe mode.
-  if (Services.appinfo.inSafeMode) {
+  // Restart in safe mode if asked to or if already in safe mode.
+  if (safeMode || Services.appinfo.inSafeMode) {
     Services.startup.restartInSafeMode(Ci.nsIAppStartup.eAttemptQuit);
   } else {
     Services.startup.quit(
@@ -384,29 +384,1273 @@ let tests = [
   },
 ];
 
+// Tests for the `matchAnywhere` mode.  These use the same documents as above.
+let anywhereTests = [
+  {
+    query: "firefox slow",
+    matches: [
+      { id: "refresh", score: 0 },
+      { id: "clear", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+  {
+    query: "why is firefox slow",
+    matches: [
+      { id: "refresh", score: 1 },
+      { id: "clear", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+  {
+    query: "my firefox keeps crashing",
+    matches: [
+      { id: "refresh", score: 0.5 },
+      { id: "clear", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+  {
+    query: "why is firefox slo today",
+    matches: [
+      { id: "refresh", score: 2.25 },
+      { id: "clear", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+  {
+    query: "please firefox update now",
+    matches: [
+      { id: "update", score: 0.75 },
+      { id: "clear", score: Infinity },
+      { id: "refresh", score: Infinity },
+    ],
+  },
+  {
+    query: "slow firefox",
+    matches: [
+      { id: "clear", score: Infinity },
+      { id: "refresh", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+];
+
+// Tests for stop words.  These use the same documents as above.
+const STOP_WORDS = new Set(["do", "how", "i", "in", "the", "to"]);
+
+let stopWordTests = [
+  {
+    query: "clear the cache in firefox",
+    matches: [
+      { id: "clear", score: 0.25 },
+      { id: "refresh", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+  {
+    query: "how do i clear cache firefox",
+    matches: [
+      { id: "clear", score: 0.75 },
+      { id: "refresh", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+  {
+    // "how to clear cache" matches because "how" and "to" are skipped in the
+    // phrase.
+    query: "clear cache",
+    matches: [
+      { id: "clear", score: 0.5 },
+      { id: "refresh", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+  {
+    query: "firefox clear cache",
+    matches: [
+      { id: "clear", score: 0 },
+      { id: "refresh", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+  {
+    query: "the the the",
+    matches: [
+      { id: "clear", score: Infinity },
+      { id: "refresh", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+];
+
+// Tests for the `incompleteLastWord` option of `score`.  These use the same
+// documents as above.
+let incompleteLastWordTests = [
+  {
+    query: "firefox upd",
+    matches: [
+      { id: "update", score: 0 },
+      { id: "clear", score: Infinity },
+      { id: "refresh", score: Infinity },
+    ],
+  },
+  {
+    query: "firefo upda",
+    matches: [
+      { id: "update", score: 1 },
+      { id: "clear", score: Infinity },
+      { id: "refresh", score: Infinity },
+    ],
+  },
+  {
+    query: "firefox s",
+    matches: [
+      { id: "refresh", score: 0 },
+      { id: "clear", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+  {
+    query: "firefox hsit",
+    matches: [
+      { id: "clear", score: Infinity },
+      { id: "refresh", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+  {
+    // Only the last word is treated as incomplete.
+    query: "firefox upd now",
+    matches: [
+      { id: "clear", score: Infinity },
+      { id: "refresh", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+  {
+    // The phrase can continue for one word past the end of the query.
+    query: "firefox",
+    matches: [
+      { id: "clear", score: 0.5 },
+      { id: "refresh", score: 0.5 },
+      { id: "update", score: 0.5 },
+    ],
+  },
+  {
+    query: "firefox not",
+    matches: [
+      { id: "refresh", score: 0.5 },
+      { id: "clear", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+  },
+];
+
 add_task(async function init() {
   await initAddonTest(ADDON_PATH, EXPECTED_ADDON_SIGNED_STATE);
-});
 
-add_task(async function test() {
+  // Load QueryScorer.js from the add-on so that the tasks below can use it.
   await withAddon(async addon => {
     let fileURI = addon.getResourceURI("QueryScorer.js");
     Services.scriptloader.loadSubScript(fileURI.spec);
+  });
+});
 
+add_task(function test() {
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+  });
+  checkScores(qs, tests);
+});
+
+add_task(function matchAnywhere() {
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+    matchAnywhere: true,
+    leadingWordPenalty: 0.5,
+    trailingWordPenalty: 0.25,
+  });
+  checkScores(qs, anywhereTests);
+});
+
+add_task(function stopWords() {
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+    stopWords: STOP_WORDS,
+    stopWordPenalty: 0.25,
+  });
+  checkScores(qs, stopWordTests);
+});
+
+// Scoring a long query made of stop words should take time proportional to
+// the number of query words, not to its square.
+add_task(function longStopWordQueries() {
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+    matchAnywhere: true,
+    leadingWordPenalty: 0.5,
+    stopWords: STOP_WORDS,
+    stopWordPenalty: 0.25,
+    maxQueryWords: 1000,
+  });
+  for (let [id, phrases] of Object.entries(DOCUMENTS)) {
+    qs.addDocument({ id, phrases });
+  }
+  let traverseCount = 0;
+  let traverse = qs._traverse;
+  qs._traverse = function(...args) {
+    traverseCount++;
+    return traverse.apply(this, args);
+  };
+
+  let query = "the ".repeat(500) + "firefox update";
+  let [result] = qs.score(query);
+  Assert.equal(result.document.id, "update", "The phrase at the end matches");
+  Assert.lessOrEqual(
+    traverseCount,
+    5 * 502,
+    "The number of traversals is proportional to the number of query words"
+  );
+
+  // Only the first `maxQueryWords` words are scored.
+  qs._maxQueryWords = 32;
+  traverseCount = 0;
+  Assert.equal(qs.score(query)[0].score, Infinity, "The phrase is ignored");
+  Assert.lessOrEqual(traverseCount, 5 * 32, "Only the first words are scored");
+});
+
+add_task(function incompleteLastWord() {
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+    maxExtraPhraseWords: 1,
+    extraPhraseWordPenalty: 0.5,
+  });
+  checkScores(qs, incompleteLastWordTests, { incompleteLastWord: true });
+});
+
+// The distance threshold for an incomplete last word should depend on the
+// length of the prefix being compared, not the length of the whole phrase
+// word.  Otherwise short, unrelated prefixes match long words.
+add_task(function incompleteLastWordThreshold() {
+  let qs = new QueryScorer({
+    distanceThreshold: [0, 0, 0, 0, 1, 1, 1, 1, 2],
+  });
+  qs.addDocument({
+    id: "addons",
+    phrases: ["firefox extensions", "firefox installer"],
+  });
+  let tests = [
+    ["firefox ext", 0],
+    ["firefox exten", 0],
+    ["firefox extem", 1],
+    ["firefox ins", 0],
+    ["firefox the", Infinity],
+    ["firefox safe", Infinity],
+    ["firefox isn", Infinity],
+  ];
+  for (let [query, expected] of tests) {
+    Assert.equal(
+      qs.score(query, { incompleteLastWord: true })[0].score,
+      expected,
+      `Score for query: "${query}"`
+    );
+  }
+});
+
+add_task(function matchExplanations() {
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+    matchAnywhere: true,
+    leadingWordPenalty: 0.5,
+    trailingWordPenalty: 0.25,
+    stopWords: STOP_WORDS,
+    stopWordPenalty: 0.25,
+  });
+  for (let [id, phrases] of Object.entries(DOCUMENTS)) {
+    qs.addDocument({ id, phrases });
+  }
+
+  let explanationTests = [
+    {
+      query: "why firefo updat now",
+      score: 2.75,
+      match: {
+        phrase: "firefox update",
+        words: [
+          { queryWord: "firefo", phraseWord: "firefox", distance: 1 },
+          { queryWord: "updat", phraseWord: "update", distance: 1 },
+        ],
+        usedVariation: false,
+        leadingWordCount: 1,
+        trailingWordCount: 1,
+      },
+    },
+    {
+      query: "fox fire history",
+      score: 0,
+      match: {
+        phrase: "firefox history",
+        words: [
+          { queryWord: "fox", phraseWord: "fox", distance: 0 },
+          { queryWord: "fire", phraseWord: "fire", distance: 0 },
+          { queryWord: "history", phraseWord: "history", distance: 0 },
+        ],
+        usedVariation: true,
+        leadingWordCount: 0,
+        trailingWordCount: 0,
+      },
+    },
+    {
+      query: "clear the cache",
+      score: 0.75,
+      match: {
+        phrase: "how to clear cache",
+        words: [
+          { queryWord: null, phraseWord: "how", distance: 0.25 },
+          { queryWord: null, phraseWord: "to", distance: 0.25 },
+          { queryWord: "clear", phraseWord: "clear", distance: 0 },
+          { queryWord: "the", phraseWord: null, distance: 0.25 },
+          { queryWord: "cache", phraseWord: "cache", distance: 0 },
+        ],
+        usedVariation: false,
+        leadingWordCount: 0,
+        trailingWordCount: 0,
+      },
+    },
+  ];
+
+  for (let { query, score, match } of explanationTests) {
+    let result = qs.score(query)[0];
+    Assert.equal(result.score, score, `Query: "${query}"`);
+    Assert.deepEqual(result.match, match, `Query: "${query}"`);
+  }
+
+  // Documents that don't match have a null match.
+  for (let result of qs.score("bogus")) {
+    Assert.strictEqual(result.match, null);
+  }
+});
+
+add_task(function lengthDistanceThresholds() {
+  let lengthTests = [
+    {
+      // "fox" is too short to match "for".
+      query: "firefox fox mac",
+      matches: [
+        { id: "clear", score: Infinity },
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+    {
+      query: "firefox downlaod",
+      matches: [
+        { id: "update", score: 2 },
+        { id: "clear", score: Infinity },
+        { id: "refresh", score: Infinity },
+      ],
+    },
+    {
+      query: "firefo histor",
+      matches: [
+        { id: "clear", score: 2 },
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+  ];
+
+  // Thresholds as an array indexed by word length.
+  let qs = new QueryScorer({
+    distanceThreshold: [0, 0, 0, 0, 1, 1, 1, 1, 2],
+    variations: VARIATIONS,
+  });
+  checkScores(qs, lengthTests);
+
+  // The same thresholds as a function.
+  qs = new QueryScorer({
+    distanceThreshold: length => {
+      if (length <= 3) {
+        return 0;
+      }
+      return length <= 7 ? 1 : 2;
+    },
+    variations: VARIATIONS,
+  });
+  checkScores(qs, lengthTests);
+});
+
+add_task(function documentDistanceThresholds() {
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+  });
+  for (let [id, phrases] of Object.entries(DOCUMENTS)) {
+    // Don't allow any fuzziness for the refresh document.
+    let doc = { id, phrases };
+    if (id == "refresh") {
+      doc.distanceThreshold = 0;
+    }
+    qs.addDocument(doc);
+  }
+
+  let documentTests = [
+    {
+      query: "firefox slow",
+      matches: [
+        { id: "refresh", score: 0 },
+        { id: "clear", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+    {
+      query: "firefo slow",
+      matches: [
+        { id: "clear", score: Infinity },
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+    {
+      // The "firefox" node is shared by all documents, but its fuzziness
+      // still applies to the clear document.
+      query: "firefo history",
+      matches: [
+        { id: "clear", score: 1 },
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+  ];
+  for (let { query, matches } of documentTests) {
+    let actual = qs
+      .score(query)
+      .map(result => ({ id: result.document.id, score: result.score }));
+    Assert.deepEqual(actual, matches, `Query: "${query}"`);
+  }
+});
+
+add_task(function damerauDistance() {
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+    distance: "damerau",
+  });
+  checkScores(qs, [
+    {
+      // "ie" and "er" are each a single transposition.
+      query: "fierfox hsitory",
+      matches: [
+        { id: "clear", score: 2 },
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+    {
+      query: "firefox slwo",
+      matches: [
+        { id: "refresh", score: 1 },
+        { id: "clear", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+    {
+      query: "firefox slw",
+      matches: [
+        { id: "refresh", score: 1 },
+        { id: "clear", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+  ]);
+
+  // Plain Levenshtein distance counts a transposition as two edits.
+  qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+  });
+  checkScores(qs, [
+    {
+      query: "firefox slwo",
+      matches: [
+        { id: "clear", score: Infinity },
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+  ]);
+});
+
+add_task(function keyboardLayouts() {
+  let layoutTests = [
+    // "d" is next to "s" on all layouts.
+    { query: "firefox hidtory", qwerty: 0.5, azerty: 0.5, qwertz: 0.5 },
+    // "a" is next to "s" on QWERTY and QWERTZ but not on AZERTY.
+    { query: "firefox hiatory", qwerty: 0.5, azerty: 1, qwertz: 0.5 },
+    // "q" is next to "s" only on AZERTY.
+    { query: "firefox hiqtory", qwerty: 1, azerty: 0.5, qwertz: 1 },
+    // "z" is next to "x" only on QWERTY.
+    { query: "firefoz history", qwerty: 0.5, azerty: 1, qwertz: 1 },
+    // Transpositions cost 1.
+    { query: "firefox hsitory", qwerty: 1, azerty: 1, qwertz: 1 },
+  ];
+  for (let keyboardLayout of ["qwerty", "azerty", "qwertz"]) {
     let qs = new QueryScorer({
       distanceThreshold: DISTANCE_THRESHOLD,
       variations: VARIATIONS,
+      distance: "damerau",
+      keyboardLayout,
     });
-
     for (let [id, phrases] of Object.entries(DOCUMENTS)) {
       qs.addDocument({ id, phrases });
     }
+    for (let test of layoutTests) {
+      let result = qs.score(test.query)[0];
+      Assert.equal(result.document.id, "clear");
+      Assert.equal(
+        result.score,
+        test[keyboardLayout],
+        `Query: "${test.query}", layout: ${keyboardLayout}`
+      );
+    }
+  }
+});
+
+add_task(function distanceFunction() {
+  // Only allow exact matches.
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+    distance: (queryWord, phraseWord) =>
+      queryWord == phraseWord ? 0 : Infinity,
+  });
+  checkScores(qs, [
+    {
+      query: "firefox history",
+      matches: [
+        { id: "clear", score: 0 },
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+    {
+      query: "firefo history",
+      matches: [
+        { id: "clear", score: Infinity },
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+  ]);
+});
+
+add_task(function multiWordVariations() {
+  let qs = new QueryScorer({
+    distanceThreshold: 0,
+    variations: new Map([
+      ["mozilla firefox", ["firefox"]],
+      ["update", ["upgrade"]],
+    ]),
+  });
+  qs.addDocument({ id: "update", phrases: ["mozilla firefox update"] });
 
-    for (let { query, matches } of tests) {
-      let actual = qs
-        .score(query)
-        .map(result => ({ id: result.document.id, score: result.score }));
-      Assert.deepEqual(actual, matches, `Query: "${query}"`);
+  for (let query of [
+    "mozilla firefox update",
+    "firefox update",
+    "firefox upgrade",
+    "mozilla firefox upgrade",
+  ]) {
+    Assert.equal(qs.score(query)[0].score, 0, `Query: "${query}"`);
+  }
+  Assert.equal(
+    qs.score("mozilla update")[0].score,
+    Infinity,
+    "Only whole keys are replaced"
+  );
+});
+
+add_task(function variationCombinations() {
+  let variations = new Map([["firefox", ["fx"]]]);
+  let qs = new QueryScorer({ distanceThreshold: 0, variations });
+  qs.addDocument({ id: "doc", phrases: ["firefox or firefox"] });
+
+  // Every occurrence of a variation key should be replaced, in every
+  // combination.
+  for (let query of [
+    "firefox or firefox",
+    "fx or firefox",
+    "firefox or fx",
+    "fx or fx",
+  ]) {
+    Assert.equal(qs.score(query)[0].score, 0, `Query: "${query}"`);
+  }
+
+  // The number of variations should be capped.
+  qs = new QueryScorer({ distanceThreshold: 0, variations, maxVariations: 2 });
+  qs.addDocument({ id: "doc", phrases: ["firefox or firefox"] });
+  let queryTests = [
+    { query: "firefox or firefox", score: 0 },
+    { query: "firefox or fx", score: 0 },
+    { query: "fx or firefox", score: 0 },
+    { query: "fx or fx", score: Infinity },
+  ];
+  for (let { query, score } of queryTests) {
+    Assert.equal(qs.score(query)[0].score, score, `Query: "${query}"`);
+  }
+});
+
+add_task(function queryVariations() {
+  let qs = new QueryScorer({
+    distanceThreshold: 1,
+    queryVariations: new Map([["firefox", ["mozilla firefox", "ff"]]]),
+  });
+  qs.addDocument({ id: "update", phrases: ["firefox update"] });
+
+  let queryTests = [
+    {
+      query: "firefox update",
+      score: 0,
+      usedVariation: false,
+    },
+    {
+      query: "mozilla firefox update",
+      score: 0,
+      usedVariation: true,
+    },
+    {
+      query: "Mozilla Firefox updte",
+      score: 1,
+      usedVariation: true,
+    },
+    {
+      query: "ff update",
+      score: 0,
+      usedVariation: true,
+    },
+    {
+      // Query variations must match exactly.
+      query: "mozilla firefx update",
+      score: Infinity,
+    },
+  ];
+  for (let { query, score, usedVariation } of queryTests) {
+    let [result] = qs.score(query);
+    Assert.equal(result.score, score, `Score for query: "${query}"`);
+    if (result.match) {
+      Assert.equal(
+        result.match.usedVariation,
+        usedVariation,
+        `usedVariation for query: "${query}"`
+      );
+      Assert.equal(
+        result.match.words[0].queryWord,
+        "firefox",
+        `The query variation was replaced in query: "${query}"`
+      );
     }
+  }
+
+  // Query variations shouldn't add phrases to the scorer.
+  Assert.deepEqual(
+    [...qs._rootNode.childrenByWord.keys()],
+    ["firefox"],
+    "The phrase tree has only the document's phrase"
+  );
+});
+
+add_task(function normalization() {
+  let queryTests = [
+    ["Firefox's cache", "clear"],
+    ["firefox’s history", "clear"],
+    ["firefox, history?", "clear"],
+    ["FIREFOX-UPDATE", "update"],
+    ["fírefox slow", "refresh"],
+    ["ｆｉｒｅｆｏｘ　ｓｌｏｗ", "refresh"],
+    ["firefox — slow…", "refresh"],
+    ["«firefox history» 🔥", "clear"],
+  ];
+
+  // All normalization steps are applied by default.
+  let qs = new QueryScorer({ distanceThreshold: DISTANCE_THRESHOLD });
+  for (let [id, phrases] of Object.entries(DOCUMENTS)) {
+    qs.addDocument({ id, phrases });
+  }
+  for (let [query, id] of queryTests) {
+    let [result] = qs.score(query);
+    Assert.equal(result.document.id, id, `Document for query: "${query}"`);
+    Assert.equal(result.score, 0, `Score for query: "${query}"`);
+  }
+
+  // Phrases are normalized too.
+  qs = new QueryScorer({ distanceThreshold: 0 });
+  qs.addDocument({ id: "doc", phrases: ["Fírefox’s cache-clearing"] });
+  Assert.equal(
+    qs.score("firefox cache clearing")[0].score,
+    0,
+    "The phrase was normalized"
+  );
+
+  // Only the given steps are applied.
+  qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    normalize: ["nfkd", "diacritics"],
   });
+  qs.addDocument({ id: "doc", phrases: ["firefox slow"] });
+  Assert.equal(qs.score("fírefox slow")[0].score, 0, "Diacritics were removed");
+  Assert.equal(
+    qs.score("firefox-slow")[0].score,
+    Infinity,
+    "Hyphens weren't replaced"
+  );
+
+  // Normalization can be turned off.
+  qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    normalize: [],
+  });
+  qs.addDocument({ id: "doc", phrases: ["firefox slow"] });
+  Assert.equal(qs.score("fírefox slow")[0].score, 1, "Nothing was normalized");
+
+  // A function can be used instead.
+  qs = new QueryScorer({
+    distanceThreshold: 0,
+    normalize: str => str.replace(/_/g, " "),
+  });
+  qs.addDocument({ id: "doc", phrases: ["firefox slow"] });
+  Assert.equal(qs.score("FIREFOX_SLOW")[0].score, 0, "The function was used");
+
+  Assert.throws(
+    () => new QueryScorer({ normalize: ["bogus"] }),
+    /bogus/,
+    "Unknown steps aren't allowed"
+  );
+});
+
+add_task(function locales() {
+  let docs = [
+    { id: "clear_en", locale: "en", phrases: ["clear cache"] },
+    { id: "clear_ja", locale: "ja", phrases: ["キャッシュを削除"] },
+    { id: "refresh", phrases: ["firefox slow"] },
+    { id: "update", locale: "en-GB", phrases: ["firefox update"] },
+  ];
+  let queryTests = [
+    {
+      locale: "ja-JP",
+      query: "キャッシュを削除",
+      matches: [
+        { id: "clear_ja", locale: "ja", score: 0 },
+        { id: "refresh", locale: undefined, score: Infinity },
+      ],
+    },
+    {
+      locale: "en-US",
+      query: "clear cache",
+      matches: [
+        { id: "clear_en", locale: "en", score: 0 },
+        { id: "refresh", locale: undefined, score: Infinity },
+      ],
+    },
+    {
+      locale: "en",
+      query: "firefox update",
+      matches: [
+        { id: "clear_en", locale: "en", score: Infinity },
+        { id: "refresh", locale: undefined, score: Infinity },
+      ],
+    },
+    {
+      // All documents are used when the scorer doesn't have a locale.
+      locale: null,
+      query: "firefox slow",
+      matches: [
+        { id: "refresh", locale: undefined, score: 0 },
+        { id: "clear_en", locale: "en", score: Infinity },
+        { id: "clear_ja", locale: "ja", score: Infinity },
+        { id: "update", locale: "en-GB", score: Infinity },
+      ],
+    },
+  ];
+  for (let { locale, query, matches } of queryTests) {
+    let qs = new QueryScorer({ locale, tokenizer: "segmenter" });
+    for (let doc of docs) {
+      qs.addDocument(doc);
+    }
+    let actual = qs.score(query).map(result => ({
+      id: result.document.id,
+      locale: result.document.locale,
+      score: result.score,
+    }));
+    Assert.deepEqual(actual, matches, `Locale: ${locale}, query: "${query}"`);
+  }
+});
+
+add_task(function tokenizers() {
+  // Thai doesn't separate words with spaces, so only the segmenter can find
+  // the phrase at the start of the query.  Without Intl.Segmenter, the
+  // segmenter falls back to whitespace.
+  let hasSegmenter = typeof Intl.Segmenter == "function";
+  info(`Intl.Segmenter is ${hasSegmenter ? "" : "not "}available`);
+  let queryTests = [
+    { tokenizer: "whitespace", score: Infinity },
+    { tokenizer: "segmenter", score: hasSegmenter ? 0 : Infinity },
+  ];
+  for (let { tokenizer, score } of queryTests) {
+    let qs = new QueryScorer({ locale: "th", tokenizer, distanceThreshold: 0 });
+    qs.addDocument({ id: "clear", phrases: ["ล้างแคช"] });
+    Assert.equal(
+      qs.score("ล้างแคชไฟร์ฟอกซ์")[0].score,
+      score,
+      `Tokenizer: ${tokenizer}`
+    );
+  }
+
+  // A function can be used instead.  It's passed the locale.
+  let locales = new Set();
+  let qs = new QueryScorer({
+    locale: "en-US",
+    normalize: [],
+    tokenizer: (str, locale) => {
+      locales.add(locale);
+      return str.split(/[\s/]+/);
+    },
+  });
+  qs.addDocument({ id: "refresh", phrases: ["firefox slow"] });
+  Assert.equal(qs.score("firefox/slow")[0].score, 0, "The function was used");
+  Assert.deepEqual([...locales], ["en-US"], "The locale was passed");
+});
+
+add_task(function topMatches() {
+  let qs = new QueryScorer({ distanceThreshold: 1 });
+  qs.addDocument({ id: "a", phrases: ["firefox slow"] });
+  qs.addDocument({ id: "b", phrases: ["firefox slow"] });
+  qs.addDocument({ id: "c", phrases: ["firefox show"] });
+  qs.addDocument({ id: "d", phrases: ["firefox cache"] });
+
+  let tests = [
+    {
+      options: {},
+      expected: [
+        [
+          { id: "a", score: 0, confidence: 1 },
+          { id: "b", score: 0, confidence: 1 },
+        ],
+      ],
+    },
+    {
+      options: { priority: ["c", "b"] },
+      expected: [
+        [
+          { id: "b", score: 0, confidence: 1 },
+          { id: "a", score: 0, confidence: 1 },
+        ],
+      ],
+    },
+    {
+      options: { k: 3 },
+      expected: [
+        [
+          { id: "a", score: 0, confidence: 1 },
+          { id: "b", score: 0, confidence: 1 },
+        ],
+        [{ id: "c", score: 1, confidence: 1 - 1 / "firefoxshow".length }],
+      ],
+    },
+    {
+      options: { k: 3, maxScore: 0.5 },
+      expected: [
+        [
+          { id: "a", score: 0, confidence: 1 },
+          { id: "b", score: 0, confidence: 1 },
+        ],
+      ],
+    },
+    {
+      options: { k: 3, minConfidence: 0.95 },
+      expected: [
+        [
+          { id: "a", score: 0, confidence: 1 },
+          { id: "b", score: 0, confidence: 1 },
+        ],
+      ],
+    },
+  ];
+  for (let { options, expected } of tests) {
+    let actual = qs.topMatches("firefox slow", options).map(group =>
+      group.map(({ document, score, confidence }) => ({
+        id: document.id,
+        score,
+        confidence,
+      }))
+    );
+    Assert.deepEqual(actual, expected, `Options: ${JSON.stringify(options)}`);
+  }
+
+  Assert.deepEqual(
+    qs.topMatches("nothing matches this", { k: 3 }),
+    [],
+    "Documents that don't match aren't included"
+  );
+});
+
+add_task(function synonyms() {
+  let synonyms = new Map([
+    ["clear", ["delete", "wipe"]],
+    ["delete", ["erase"]],
+    ["install", ["reinstall"]],
+    ["not responding", ["freezing"]],
+  ]);
+  let docs = [
+    { id: "clear", phrases: ["clear history"] },
+    { id: "refresh", phrases: ["firefox not responding"] },
+    { id: "update", phrases: ["install firefox"] },
+  ];
+
+  // Don't allow any fuzziness so that only synonyms can match.
+  let qs = new QueryScorer({ distanceThreshold: 0, synonyms });
+  for (let doc of docs) {
+    qs.addDocument(doc);
+  }
+  let queryTests = [
+    { query: "clear history", id: "clear", score: 0 },
+    { query: "delete history", id: "clear", score: 0.5 },
+    { query: "wipe history", id: "clear", score: 0.5 },
+    { query: "erase history", id: "clear", score: 1 },
+    { query: "firefox freezing", id: "refresh", score: 0.5 },
+    { query: "reinstall firefox", id: "update", score: 0.5 },
+    { query: "remove history", id: "clear", score: Infinity },
+  ];
+  for (let { query, id, score } of queryTests) {
+    let [result] = qs.score(query);
+    Assert.equal(result.document.id, id, `Document for query: "${query}"`);
+    Assert.equal(result.score, score, `Score for query: "${query}"`);
+  }
+
+  Assert.deepEqual(
+    qs.score("firefox freezing")[0].match.words,
+    [
+      { queryWord: "firefox", phraseWord: "firefox", distance: 0 },
+      { queryWord: "freezing", phraseWord: "not responding", distance: 0.5 },
+    ],
+    "The match explains the synonym"
+  );
+  Assert.ok(
+    !qs._rootNode.childrenByWord.has("delete"),
+    "Synonyms don't add phrases to the scorer"
+  );
+
+  // The number of hops and their cost can be changed.
+  qs = new QueryScorer({
+    distanceThreshold: 0,
+    synonyms,
+    synonymCost: 0.25,
+    maxSynonymHops: 1,
+  });
+  for (let doc of docs) {
+    qs.addDocument(doc);
+  }
+  queryTests = [
+    { query: "delete history", score: 0.25 },
+    { query: "erase history", score: Infinity },
+  ];
+  for (let { query, score } of queryTests) {
+    Assert.equal(qs.score(query)[0].score, score, `Query: "${query}"`);
+  }
+});
+
+add_task(function exclusions() {
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    stopWords: STOP_WORDS,
+  });
+  for (let [id, phrases] of Object.entries(DOCUMENTS)) {
+    let doc = { id, phrases };
+    if (id == "clear") {
+      doc.excludePhrases = ["history of company"];
+      doc.excludeWords = ["recipe"];
+    }
+    qs.addDocument(doc);
+  }
+
+  let queryTests = [
+    { query: "firefox history", id: "clear", score: 0 },
+    { query: "firefox history of the company", id: "clear", score: Infinity },
+    { query: "firefox cookies recipe", id: "clear", score: Infinity },
+    { query: "firefox cookies recipes", id: "clear", score: Infinity },
+    { query: "recipe firefox cookies", id: "clear", score: Infinity },
+    // The last word is incomplete, but excluded phrases still need whole words.
+    {
+      query: "firefox cookies rec",
+      id: "clear",
+      score: 0,
+      options: { incompleteLastWord: true },
+    },
+    // Other documents aren't affected.
+    { query: "firefox slow recipe", id: "refresh", score: 0 },
+  ];
+  for (let { query, id, score, options } of queryTests) {
+    let result = qs
+      .score(query, options)
+      .find(({ document }) => document.id == id);
+    Assert.equal(result.score, score, `Score for query: "${query}"`);
+    if (score == Infinity) {
+      Assert.equal(result.match, null, `No match for query: "${query}"`);
+    }
+  }
+
+  // Removing the document should remove its exclusions too.
+  qs.removeDocument("clear");
+  Assert.equal(
+    qs._exclusionRootNode.childrenByWord.size,
+    0,
+    "The exclusion tree is empty"
+  );
+});
+
+add_task(function removeDocument() {
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+  });
+  for (let [id, phrases] of Object.entries(DOCUMENTS)) {
+    // Only the clear document allows fuzziness.
+    let doc = { id, phrases };
+    if (id != "clear") {
+      doc.distanceThreshold = 0;
+    }
+    qs.addDocument(doc);
+  }
+
+  Assert.ok(qs.removeDocument("clear"), "The clear document was removed");
+  Assert.ok(!qs.removeDocument("clear"), "The clear document is already gone");
+  Assert.ok(!qs.removeDocument("bogus"), "There's no bogus document");
+
+  let queryTests = [
+    {
+      query: "firefox history",
+      matches: [
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+    {
+      query: "firefox slow",
+      matches: [{ id: "refresh", score: 0 }, { id: "update", score: Infinity }],
+    },
+    {
+      query: "firefox updte",
+      matches: [
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+  ];
+  for (let { query, matches } of queryTests) {
+    let actual = qs
+      .score(query)
+      .map(result => ({ id: result.document.id, score: result.score }));
+    Assert.deepEqual(actual, matches, `Query: "${query}"`);
+  }
+
+  // Nodes used only by the clear document should be pruned, and nodes shared
+  // with other documents should no longer allow the clear document's fuzziness.
+  let root = qs._rootNode;
+  Assert.ok(!root.childrenByWord.has("clear"), "The clear node was pruned");
+  Assert.equal(
+    root.childrenByWord.get("firefox").maxDistanceThreshold,
+    0,
+    "The firefox node's distance threshold was recalculated"
+  );
+
+  // Removing the remaining documents should empty the tree.
+  Assert.ok(qs.removeDocument("refresh"), "The refresh document was removed");
+  Assert.ok(qs.removeDocument("update"), "The update document was removed");
+  Assert.equal(root.childrenByWord.size, 0, "The phrase tree is empty");
+  Assert.deepEqual(qs.score("firefox"), [], "There are no documents to score");
+});
+
+add_task(function updateDocument() {
+  let qs = new QueryScorer({
+    distanceThreshold: DISTANCE_THRESHOLD,
+    variations: VARIATIONS,
+  });
+  checkScores(qs, []);
+
+  let doc = { id: "clear", phrases: ["firefox history"] };
+  qs.updateDocument(doc);
+
+  // The new document should keep the old one's place in the order of ties.
+  let queryTests = [
+    {
+      query: "firefox histry",
+      matches: [
+        { id: "clear", score: 1 },
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+    {
+      query: "clear cache",
+      matches: [
+        { id: "clear", score: Infinity },
+        { id: "refresh", score: Infinity },
+        { id: "update", score: Infinity },
+      ],
+    },
+  ];
+  for (let { query, matches } of queryTests) {
+    let actual = qs
+      .score(query)
+      .map(result => ({ id: result.document.id, score: result.score }));
+    Assert.deepEqual(actual, matches, `Query: "${query}"`);
+  }
+  Assert.strictEqual(
+    qs.score("firefox history")[0].document,
+    doc,
+    "The new document replaced the old one"
+  );
+
+  // Updating a document the scorer doesn't have should add it.
+  qs.updateDocument({ id: "new", phrases: ["firefox history"] });
+  Assert.deepEqual(
+    qs
+      .score("firefox history")
+      .map(result => ({ id: result.document.id, score: result.score })),
+    [
+      { id: "clear", score: 0 },
+      { id: "new", score: 0 },
+      { id: "refresh", score: Infinity },
+      { id: "update", score: Infinity },
+    ],
+    "The new document was added"
+  );
 });
+
+add_task(function serialization() {
+  let qs = new QueryScorer({
+    distanceThreshold: [0, 0, 0, 0, 1],
+    variations: VARIATIONS,
+    queryVariations: new Map([["firefox", ["mozilla firefox"]]]),
+    matchAnywhere: true,
+    leadingWordPenalty: 0.1,
+    stopWords: STOP_WORDS,
+    stopWordPenalty: 0.05,
+    distance: "damerau",
+    keyboardLayout: "qwerty",
+  });
+  for (let [id, phrases] of Object.entries(DOCUMENTS)) {
+    let doc = { id, phrases };
+    if (id == "refresh") {
+      doc.distanceThreshold = 0;
+    }
+    if (id == "clear") {
+      doc.excludeWords = ["recipe"];
+    }
+    qs.addDocument(doc);
+  }
+
+  // Round-trip the scorer through a string like it would be when it's stored.
+  let json = JSON.parse(JSON.stringify(qs));
+  Assert.equal(json.version, 1, "The snapshot has a version");
+  let deserialized = QueryScorer.fromJSON(json);
+  Assert.deepEqual(
+    deserialized.toJSON(),
+    json,
+    "The deserialized scorer serializes to the same snapshot"
+  );
+
+  let queries = [
+    "firefox history",
+    "how do i clear the cache in firefox",
+    "fire fox slow",
+    "firefo slow",
+    "firefxo updte",
+    "firefox upd",
+    "mozilla firefox update",
+    "firefox cookies recipe",
+    "nothing to see here",
+  ];
+  for (let query of queries) {
+    for (let incompleteLastWord of [false, true]) {
+      let expected = qs
+        .score(query, { incompleteLastWord })
+        .map(({ document, score, match }) => ({
+          id: document.id,
+          score,
+          match,
+        }));
+      let actual = deserialized
+        .score(query, { incompleteLastWord })
+        .map(({ document, score, match }) => ({
+          id: document.id,
+          score,
+          match,
+        }));
+      Assert.deepEqual(actual, expected, `Query: "${query}"`);
+    }
+  }
+
+  // The deserialized scorer should still support removing documents.
+  Assert.ok(deserialized.removeDocument("clear"), "Removed the clear document");
+  Assert.deepEqual(
+    deserialized.score("firefox history").map(result => result.document.id),
+    ["refresh", "update"],
+    "The clear document is gone"
+  );
+
+  // Snapshots from other versions should be rejected.
+  Assert.throws(
+    () => QueryScorer.fromJSON(Object.assign({}, json, { version: 0 })),
+    /version/,
+    "Snapshots with other versions can't be deserialized"
+  );
+
+  // Functions can't be serialized.
+  let functionScorer = new QueryScorer({ distanceThreshold: length => 1 });
+  Assert.throws(
+    () => functionScorer.toJSON(),
+    /function/,
+    "Function options can't be serialized"
+  );
+  let functionDocScorer = new QueryScorer();
+  functionDocScorer.addDocument({
+    id: "doc",
+    phrases: ["firefox"],
+    distanceThreshold: length => 1,
+  });
+  Assert.throws(
+    () => functionDocScorer.toJSON(),
+    /distanceThreshold/,
+    "Function document thresholds can't be serialized"
+  );
+});
+
+/**
+ * Adds `DOCUMENTS` to a scorer and checks the scores of some queries.
+ *
+ * @param {QueryScorer} qs
+ *   The scorer.
+ * @param {array} queryTests
+ *   An array of objects: { query, matches }.  `matches` is the expected array
+ *   of { id, score } objects for the query.
+ * @param {object} [options]
+ *   Options to pass to `score`.
+ */
+function checkScores(qs, queryTests, options = undefined) {
+  for (let [id, phrases] of Object.entries(DOCUMENTS)) {
+    qs.addDocument({ id, phrases });
+  }
+
+  for (let { query, matches } of queryTests) {
+    let actual = qs
+      .score(query, options)
+      .map(result => ({ id: result.document.id, score: result.score }));
+    Assert.deepEqual(actual, matches, `Query: "${query}"`);
+  }
+}
@@ -0,0 +1,263 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+// Benchmarks QueryScorer with a large number of phrases.  The add-on scores the
+// query on every keystroke in the urlbar, so scoring needs to be fast.
+
+/* global QueryScorer */
+
+"use strict";
+
+// The number of phrases to generate.
+const PHRASE_COUNT = 3000;
+
+// The number of documents to divide the phrases among.
+const DOCUMENT_COUNT = 10;
+
+// Phrases are made from these words.
+const WORDS = [
+  "add-ons",
+  "blank",
+  "bookmarks",
+  "browser",
+  "cache",
+  "clear",
+  "cookies",
+  "crashing",
+  "default",
+  "delete",
+  "download",
+  "extensions",
+  "firefox",
+  "fix",
+  "freezing",
+  "history",
+  "home",
+  "import",
+  "install",
+  "installer",
+  "keeps",
+  "latest",
+  "loading",
+  "mac",
+  "mozilla",
+  "new",
+  "not",
+  "page",
+  "passwords",
+  "private",
+  "refresh",
+  "reset",
+  "responding",
+  "restart",
+  "safe",
+  "settings",
+  "slow",
+  "tab",
+  "tracking",
+  "update",
+  "version",
+  "windows",
+];
+
+// The queries to score.  Each one is scored as if it were typed one character
+// at a time.
+const QUERIES = [
+  "firefox update",
+  "how do i clear the cache in firefox",
+  "why is my firefox so slow",
+  "fierfox keeps crashing",
+  "mozila firefox free download for windows",
+  "something completely unrelated to the add-on",
+];
+
+// Scorer options similar to the ones the add-on uses.
+const SCORER_OPTIONS = {
+  distanceThreshold: [0, 0, 0, 0, 1, 1, 1, 1, 2],
+  variations: new Map([["firefox", ["fire fox", "fox fire", "foxfire"]]]),
+  matchAnywhere: true,
+  leadingWordPenalty: 0.1,
+  trailingWordPenalty: 0.1,
+  stopWords: new Set(["do", "how", "i", "in", "is", "my", "so", "the", "to"]),
+  stopWordPenalty: 0.05,
+  distance: "damerau",
+  keyboardLayout: "qwerty",
+};
+
+add_task(async function init() {
+  await initAddonTest(ADDON_PATH, EXPECTED_ADDON_SIGNED_STATE);
+
+  // Load QueryScorer.js from the add-on so that the tasks below can use it.
+  await withAddon(async addon => {
+    let fileURI = addon.getResourceURI("QueryScorer.js");
+    Services.scriptloader.loadSubScript(fileURI.spec);
+  });
+});
+
+// The optimizations in the built-in distance functions shouldn't change any
+// scores.  Passing a distance function to the scorer bypasses them, so compare
+// the results of the two.
+add_task(function optimizationsDontChangeScores() {
+  let qs = makeScorer(SCORER_OPTIONS);
+  let unoptimizedScorer = makeUnoptimizedScorer();
+
+  for (let searchString of keystrokes(QUERIES)) {
+    let expected = unoptimizedScorer
+      .score(searchString, { incompleteLastWord: true })
+      .map(({ document, score }) => ({ id: document.id, score }));
+    let actual = qs
+      .score(searchString, { incompleteLastWord: true })
+      .map(({ document, score }) => ({ id: document.id, score }));
+    Assert.deepEqual(actual, expected, `Query: "${searchString}"`);
+  }
+});
+
+// Reports the time it takes to score queries, and checks that it's less than
+// the time it takes without the optimizations in the built-in distance
+// functions.  The time itself depends on the machine, so it isn't checked.
+add_task(function benchmark() {
+  let searchStrings = keystrokes(QUERIES);
+  let optimizedTime = meanScoreTime(makeScorer(SCORER_OPTIONS), searchStrings);
+  let unoptimizedTime = meanScoreTime(makeUnoptimizedScorer(), searchStrings);
+
+  info(`Mean time to score a query: ${optimizedTime} ms`);
+  info(`Mean time without optimizations: ${unoptimizedTime} ms`);
+  Assert.less(
+    optimizedTime,
+    unoptimizedTime,
+    "Scoring with optimizations should be faster than without"
+  );
+});
+
+/**
+ * Makes a scorer with `PHRASE_COUNT` phrases divided among `DOCUMENT_COUNT`
+ * documents.  The phrases are generated from `WORDS` using a simple
+ * pseudo-random number generator so that they're the same every time.
+ *
+ * @param {object} options
+ *   Options to pass to the QueryScorer constructor.
+ * @return {QueryScorer}
+ *   The scorer.
+ */
+function makeScorer(options) {
+  let seed = 1;
+  let random = n => {
+    seed = (seed * 48271) % 2147483647;
+    return seed % n;
+  };
+
+  let docs = [];
+  for (let i = 0; i < DOCUMENT_COUNT; i++) {
+    docs.push({ id: `doc${i}`, phrases: [] });
+  }
+  for (let i = 0; i < PHRASE_COUNT; i++) {
+    let words = [];
+    let length = 2 + random(3);
+    for (let j = 0; j < length; j++) {
+      words.push(WORDS[random(WORDS.length)]);
+    }
+    docs[i % DOCUMENT_COUNT].phrases.push(words.join(" "));
+  }
+
+  let qs = new QueryScorer(options);
+  for (let doc of docs) {
+    qs.addDocument(doc);
+  }
+  return qs;
+}
+
+/**
+ * Makes a scorer like `makeScorer(SCORER_OPTIONS)` but whose distance function
+ * is a plain Damerau-Levenshtein distance that computes the full distance
+ * matrix, without any of the optimizations in the built-in one.
+ *
+ * @return {QueryScorer}
+ *   The scorer.
+ */
+function makeUnoptimizedScorer() {
+  let qs = makeScorer(
+    Object.assign({}, SCORER_OPTIONS, {
+      distance: (queryWord, phraseWord) =>
+        fullMatrixDistance(queryWord, phraseWord, (c1, c2) =>
+          qs._substitutionCost(c1, c2)
+        ),
+    })
+  );
+  return qs;
+}
+
+/**
+ * Calculates the Damerau-Levenshtein (optimal string alignment) distance
+ * between two words by filling in the whole distance matrix.
+ *
+ * @param {string} word1
+ *   The first word.
+ * @param {string} word2
+ *   The second word.
+ * @param {function} substitutionCost
+ *   Returns the cost of replacing one character with another.
+ * @return {number}
+ *   The distance.
+ */
+function fullMatrixDistance(word1, word2, substitutionCost) {
+  let matrix = [];
+  for (let i1 = 0; i1 <= word1.length; i1++) {
+    matrix.push([i1]);
+  }
+  for (let i2 = 1; i2 <= word2.length; i2++) {
+    matrix[0].push(i2);
+  }
+  for (let i1 = 1; i1 <= word1.length; i1++) {
+    for (let i2 = 1; i2 <= word2.length; i2++) {
+      let c1 = word1[i1 - 1];
+      let c2 = word2[i2 - 1];
+      let distance = Math.min(
+        matrix[i1 - 1][i2] + 1,
+        matrix[i1][i2 - 1] + 1,
+        matrix[i1 - 1][i2 - 1] + substitutionCost(c1, c2)
+      );
+      if (i1 > 1 && i2 > 1 && c1 == word2[i2 - 2] && word1[i1 - 2] == c2) {
+        distance = Math.min(distance, matrix[i1 - 2][i2 - 2] + 1);
+      }
+      matrix[i1][i2] = distance;
+    }
+  }
+  return matrix[word1.length][word2.length];
+}
+
+/**
+ * Returns the mean time it takes a scorer to score some search strings.
+ *
+ * @param {QueryScorer} qs
+ *   The scorer.
+ * @param {array} searchStrings
+ *   The search strings.
+ * @return {number}
+ *   The mean time in milliseconds.
+ */
+function meanScoreTime(qs, searchStrings) {
+  let startTime = Cu.now();
+  for (let searchString of searchStrings) {
+    qs.score(searchString, { incompleteLastWord: true });
+  }
+  return (Cu.now() - startTime) / searchStrings.length;
+}
+
+/**
+ * Returns all the search strings that result from typing some queries one
+ * character at a time.
+ *
+ * @param {array} queries
+ *   The queries.
+ * @return {array}
+ *   The search strings.
+ */
+function keystrokes(queries) {
+  let searchStrings = [];
+  for (let query of queries) {
+    for (let i = 1; i <= query.length; i++) {
+      searchStrings.push(query.substring(0, i));
+    }
+  }
+  return searchStrings;
+}
@@ -0,0 +1,502 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+/* global TipRegistry */
+
+"use strict";
+
+// The preconditions, actions, and action params that background.js passes to
+// the registry.
+// Their values don't matter for validation.
+const PRECONDITIONS = {
+  daysSinceBrowserUpdate: () => 0,
+  defaultBrowser: () => true,
+  migrationBrowser: () => "",
+  notificationShown: () => false,
+  os: () => "linux",
+  primaryPasswordSet: () => false,
+  privateWindow: () => false,
+  profileAgeDays: () => 0,
+  trackingProtectionCategory: () => "standard",
+  updateStatus: () => "noUpdatesFound",
+  webPageSelected: () => true,
+};
+const ACTIONS = {
+  clearSiteData() {},
+  dismiss() {},
+  enableStrictTrackingProtection() {},
+  installBrowserUpdateAndRestart() {},
+  openClearHistoryDialog() {},
+  openMigrationWizard() {},
+  openPasswordManager() {},
+  openPrivateWindow() {},
+  openTrackingProtectionSettings() {},
+  openURL() {},
+  resetBrowser() {},
+  restartBrowser() {},
+  setDefaultBrowser() {},
+};
+const ACTION_PARAMS = {
+  enableStrictTrackingProtection: {
+    confirmTitle: { type: "string" },
+    confirmText: { type: "string" },
+  },
+  openURL: { url: { type: "string" } },
+  restartBrowser: { safeMode: { type: "boolean", optional: true } },
+};
+
+// The catalog bundled with the add-on.
+let catalog;
+
+add_task(async function init() {
+  await initAddonTest(ADDON_PATH, EXPECTED_ADDON_SIGNED_STATE);
+
+  // Load TipRegistry.js and the catalog from the add-on so that the tasks below
+  // can use them.
+  await withAddon(async addon => {
+    let fileURI = addon.getResourceURI("TipRegistry.js");
+    Services.scriptloader.loadSubScript(fileURI.spec);
+    let response = await fetch(addon.getResourceURI("catalog.json").spec);
+    catalog = await response.json();
+  });
+});
+
+// The add-on's own catalog should be valid and include all the tips that the
+// other tests expect.
+add_task(async function bundledCatalog() {
+  let registry = await TipRegistry.fromCatalog(catalog, {
+    preconditions: PRECONDITIONS,
+    actions: ACTIONS,
+    actionParams: ACTION_PARAMS,
+  });
+  Assert.equal(registry.catalogHash, catalog.sha256);
+  Assert.deepEqual(
+    registry.tips.map(tip => tip.id).sort(),
+    Object.values(TIPS)
+      .filter(tip => tip)
+      .sort()
+  );
+  Assert.deepEqual(registry.documents.map(doc => doc.id).sort(), [
+    "clear",
+    "clear_site",
+    "default_browser",
+    "import",
+    "passwords",
+    "private_window",
+    "refresh",
+    "safe_mode",
+    "strict_tracking_protection",
+    "tracking_protection",
+    "update",
+  ]);
+  for (let tip of registry.tips) {
+    Assert.equal(typeof tip.restart, "boolean", `${tip.id} restart`);
+    // Acknowledging that Firefox is already the default browser isn't worth a
+    // survey.
+    Assert.equal(
+      tip.survey,
+      tip.id == TIPS.DEFAULT_BROWSER_ALREADY ? "never" : "always",
+      `${tip.id} survey`
+    );
+  }
+});
+
+// Catalogs with the wrong version or hash should be rejected.
+add_task(async function invalidCatalogs() {
+  let tests = [
+    [null, /version: null/],
+    [{ ...catalog, version: 2 }, /version: 2/],
+    [{ ...catalog, sha256: "0".repeat(64) }, /hash doesn't match/],
+    [{ ...catalog, definitions: {} }, /hash doesn't match/],
+  ];
+  for (let [invalidCatalog, expected] of tests) {
+    await Assert.rejects(
+      TipRegistry.fromCatalog(invalidCatalog, {
+        preconditions: PRECONDITIONS,
+        actions: ACTIONS,
+        actionParams: ACTION_PARAMS,
+      }),
+      expected
+    );
+  }
+
+  // A catalog with a correct hash of invalid definitions should be rejected
+  // too.
+  let definitions = { documents: [], tips: [makeTip("a", "a", 1)] };
+  let sha256 = await TipRegistry.hashDefinitions(definitions);
+  await Assert.rejects(
+    TipRegistry.fromCatalog(
+      { version: 1, sha256, definitions },
+      {
+        preconditions: PRECONDITIONS,
+        actions: ACTIONS,
+        actionParams: ACTION_PARAMS,
+      }
+    ),
+    /unknown document: a/
+  );
+});
+
+// Catalogs should be verified against the public keys if any are given.
+add_task(async function signatures() {
+  let options = {
+    preconditions: PRECONDITIONS,
+    actions: ACTIONS,
+    actionParams: ACTION_PARAMS,
+  };
+  let signedCatalog = await signCatalog(catalog);
+  let { publicKey } = await crypto.subtle.generateKey(
+    { name: "ECDSA", namedCurve: "P-256" },
+    true,
+    ["sign", "verify"]
+  );
+  let untrustedPublicKey = await crypto.subtle.exportKey("jwk", publicKey);
+
+  for (let publicKeys of [
+    [TEST_CATALOG_KEY.publicKey],
+    [untrustedPublicKey, TEST_CATALOG_KEY.publicKey],
+  ]) {
+    let registry = await TipRegistry.fromCatalog(signedCatalog, {
+      ...options,
+      publicKeys,
+    });
+    Assert.equal(registry.catalogHash, catalog.sha256);
+  }
+
+  // A tampered catalog should be rejected even if its hash is updated.
+  let definitions = JSON.parse(JSON.stringify(catalog.definitions));
+  definitions.tips[0].payload.text = "Tampered";
+  let tamperedCatalog = {
+    ...signedCatalog,
+    sha256: await TipRegistry.hashDefinitions(definitions),
+    definitions,
+  };
+
+  let tests = [
+    [signedCatalog, [untrustedPublicKey]],
+    [tamperedCatalog, [TEST_CATALOG_KEY.publicKey]],
+    [catalog, [TEST_CATALOG_KEY.publicKey]],
+    [
+      { ...signedCatalog, signature: "not base64!" },
+      [TEST_CATALOG_KEY.publicKey],
+    ],
+  ];
+  for (let [invalidCatalog, publicKeys] of tests) {
+    await Assert.rejects(
+      TipRegistry.fromCatalog(invalidCatalog, { ...options, publicKeys }),
+      /signature isn't valid/
+    );
+  }
+});
+
+// Incomplete and invalid definitions should be rejected.
+add_task(function validation() {
+  let tests = [
+    [defs => delete defs.tips, /documents and tips arrays/],
+    [defs => delete defs.documents[0].id, /Document without an ID/],
+    [defs => (defs.documents[1].id = "clear"), /Duplicate document: clear/],
+    [defs => (defs.documents[0].phrases = []), /clear must have phrases/],
+    [
+      defs => (defs.documents[0].excludeWords = "recipe"),
+      /invalid excludeWords/,
+    ],
+    [defs => defs.documents.push(makeDocument("foo")), /foo isn't used/],
+    [defs => delete defs.tips[0].id, /Tip without an ID/],
+    [defs => (defs.tips[1].id = defs.tips[0].id), /Duplicate tip/],
+    [defs => (defs.tips[0].document = "foo"), /unknown document: foo/],
+    [defs => delete defs.tips[0].priority, /numeric priority/],
+    [defs => (defs.tips[0].preconditions = { foo: 1 }), /precondition: foo/],
+    [
+      defs => (defs.tips[0].preconditions = { toString: 1 }),
+      /precondition: toString/,
+    ],
+    [
+      defs => (defs.tips[0].preconditions = { updateStatus: {} }),
+      /invalid range for updateStatus/,
+    ],
+    [
+      defs => (defs.tips[0].preconditions = { updateStatus: { min: "1" } }),
+      /invalid range for updateStatus/,
+    ],
+    [
+      defs => (defs.tips[0].preconditions = { updateStatus: { from: 1 } }),
+      /invalid range for updateStatus/,
+    ],
+    [
+      defs =>
+        (defs.tips[0].preconditions = { updateStatus: { not: "a", max: 1 } }),
+      /invalid exclusion for updateStatus/,
+    ],
+    [
+      defs => (defs.tips[0].preconditions = { updateStatus: { not: {} } }),
+      /invalid exclusion for updateStatus/,
+    ],
+    [defs => delete defs.tips[0].payload, /payload with text/],
+    [defs => delete defs.tips[0].payload.buttonText, /payload with text/],
+    [defs => (defs.tips[0].payload.helpUrl = ""), /payload with text/],
+    [defs => (defs.tips[0].payload.text = "{foo}"), /unknown placeholder: foo/],
+    [
+      defs => (defs.tips[0].payload.text = "{toString}"),
+      /unknown placeholder: toString/,
+    ],
+    [defs => (defs.tips[0].payload.icon = "a"), /payload property: icon/],
+    [defs => (defs.tips[0].payload.type = "a"), /payload property: type/],
+    [defs => delete defs.tips[0].action, /known action/],
+    [defs => (defs.tips[0].action = { name: "foo" }), /known action/],
+    [defs => (defs.tips[0].action = { name: "toString" }), /known action/],
+    [
+      defs => (defs.tips[0].action = { name: "openURL" }),
+      /action without a url/,
+    ],
+    [
+      defs => (defs.tips[0].action = { name: "openURL", url: "" }),
+      /action with an invalid url/,
+    ],
+    [
+      defs => (defs.tips[0].action = { name: "restartBrowser", safeMode: 1 }),
+      /action with an invalid safeMode/,
+    ],
+    [
+      defs => (defs.tips[0].action = { name: "resetBrowser", url: "a" }),
+      /action with an unknown url/,
+    ],
+    [defs => (defs.tips[0].restart = "yes"), /non-boolean restart/],
+    [defs => (defs.tips[0].survey = "sometimes"), /survey policy: sometimes/],
+  ];
+  for (let [modify, expected] of tests) {
+    let defs = JSON.parse(JSON.stringify(catalog.definitions));
+    modify(defs);
+    Assert.throws(() => makeRegistry(defs), expected, String(modify));
+  }
+});
+
+// findTip should return the highest-priority tip whose preconditions are met,
+// and it should evaluate each precondition at most once.  When no tip's
+// preconditions are met, it should return the unmet precondition of the
+// lowest-priority candidate.
+add_task(async function findTip() {
+  let values = { color: "red", size: 1 };
+  let calls = [];
+  let preconditions = {};
+  for (let name of Object.keys(values)) {
+    preconditions[name] = async () => {
+      calls.push(name);
+      return values[name];
+    };
+  }
+
+  let registry = makeRegistry(
+    {
+      documents: [makeDocument("a"), makeDocument("b")],
+      tips: [
+        makeTip("a_low", "a", 1),
+        makeTip("a_red", "a", 2, { color: "red" }),
+        makeTip("a_blue", "a", 2, { color: ["blue", "green"] }),
+        makeTip("b_big", "b", 3, { size: 2, color: "red" }),
+      ],
+    },
+    preconditions
+  );
+
+  let tests = [
+    { docs: ["a"], values: { color: "red" }, tip: "a_red", calls: ["color"] },
+    {
+      docs: ["a"],
+      values: { color: "green" },
+      tip: "a_blue",
+      calls: ["color"],
+    },
+    { docs: ["a"], values: { color: "pink" }, tip: "a_low", calls: ["color"] },
+    {
+      docs: ["b"],
+      values: { size: 1 },
+      tip: null,
+      suppressedBy: "size",
+      calls: ["size"],
+    },
+    {
+      docs: ["b"],
+      values: { size: 2, color: "blue" },
+      tip: null,
+      suppressedBy: "color",
+      calls: ["size", "color"],
+    },
+    {
+      docs: ["a", "b"],
+      values: { size: 2, color: "red" },
+      tip: "b_big",
+      calls: ["size", "color"],
+    },
+    {
+      docs: ["a", "b"],
+      values: { size: 1, color: "red" },
+      tip: "a_red",
+      calls: ["size", "color"],
+    },
+    { docs: [], values: {}, tip: null, calls: [] },
+  ];
+  for (let test of tests) {
+    Object.assign(values, test.values);
+    calls = [];
+    let { tip, suppressedBy } = await registry.findTip(test.docs);
+    let info = JSON.stringify(test);
+    Assert.equal(tip && tip.id, test.tip, info);
+    Assert.equal(suppressedBy, test.suppressedBy || null, info);
+    Assert.deepEqual(calls, test.calls, info);
+  }
+});
+
+// Range preconditions should be met by numbers within their bounds.
+add_task(async function ranges() {
+  let age = 0;
+  let registry = makeRegistry(
+    {
+      documents: [makeDocument("a")],
+      tips: [
+        makeTip("a_new", "a", 3, { age: { max: 6 } }),
+        makeTip("a_week", "a", 2, { age: { min: 7, max: 29 } }),
+        makeTip("a_old", "a", 1, { age: { min: 30 } }),
+      ],
+    },
+    { age: () => age }
+  );
+
+  let tests = [
+    [0, "a_new"],
+    [6, "a_new"],
+    [7, "a_week"],
+    [29, "a_week"],
+    [30, "a_old"],
+    [365, "a_old"],
+    [6.5, null],
+    ["30", null],
+    [null, null],
+  ];
+  for (let [value, expected] of tests) {
+    age = value;
+    let { tip, suppressedBy } = await registry.findTip(["a"]);
+    Assert.equal(tip && tip.id, expected, `age: ${value}`);
+    Assert.equal(suppressedBy, expected ? null : "age", `age: ${value}`);
+  }
+});
+
+// Exclusion preconditions should be met by any value they don't exclude, so a
+// low-priority tip with one can catch the values other tips don't handle.
+add_task(async function exclusions() {
+  let status = "";
+  let registry = makeRegistry(
+    {
+      documents: [makeDocument("a"), makeDocument("b")],
+      tips: [
+        makeTip("a_ready", "a", 2, { status: "ready" }),
+        makeTip("a_other", "a", 1, { status: { not: ["checking", "ready"] } }),
+        makeTip("b", "b", 1, { status: { not: "failed" } }),
+      ],
+    },
+    { status: () => status }
+  );
+
+  let tests = [
+    ["a", "ready", "a_ready"],
+    ["a", "checking", null],
+    ["a", "failed", "a_other"],
+    ["a", "unknown", "a_other"],
+    ["a", undefined, "a_other"],
+    ["b", "ready", "b"],
+    ["b", "failed", null],
+  ];
+  for (let [doc, value, expected] of tests) {
+    status = value;
+    let { tip } = await registry.findTip([doc]);
+    Assert.equal(tip && tip.id, expected, `${doc} status: ${value}`);
+  }
+});
+
+// findTip should fill in placeholders in the payload of the tip it returns
+// without modifying the tip itself.
+add_task(async function placeholders() {
+  let tip = makeTip("a", "a", 1, { color: "red" });
+  tip.payload.text = "Color: {color}.  Names: {names}.";
+  tip.payload.buttonText = "{color}";
+  let registry = makeRegistry(
+    { documents: [makeDocument("a")], tips: [tip] },
+    { color: () => "red", names: async () => ["foo", "bar"] }
+  );
+
+  let { tip: foundTip } = await registry.findTip(["a"]);
+  Assert.deepEqual(foundTip.payload, {
+    text: "Color: red.  Names: foo, bar.",
+    buttonText: "red",
+  });
+  Assert.equal(registry.get("a").payload.text, tip.payload.text);
+});
+
+// doAction should call the tip's action with its action object.
+add_task(function doAction() {
+  let calls = [];
+  let registry = makeRegistry(catalog.definitions, PRECONDITIONS, {
+    ...ACTIONS,
+    openURL: action => calls.push(action),
+  });
+  let tip = registry.get(TIPS.UPDATE_WEB);
+  registry.doAction(tip);
+  Assert.deepEqual(calls, [tip.action]);
+  Assert.equal(registry.get("nonexistent"), null);
+});
+
+/**
+ * Makes a registry.
+ *
+ * @param {object} definitions
+ *   The tip definitions.
+ * @param {object} preconditions
+ *   The preconditions to pass to the registry.
+ * @param {object} actions
+ *   The actions to pass to the registry.
+ * @return {TipRegistry}
+ *   The registry.
+ */
+function makeRegistry(
+  definitions,
+  preconditions = PRECONDITIONS,
+  actions = ACTIONS
+) {
+  return new TipRegistry(definitions, {
+    preconditions,
+    actions,
+    actionParams: ACTION_PARAMS,
+  });
+}
+
+/**
+ * @param {string} id
+ *   The document ID.
+ * @return {object}
+ *   A document with a phrase.
+ */
+function makeDocument(id) {
+  return { id, phrases: [`${id} phrase`] };
+}
+
+/**
+ * @param {string} id
+ *   The tip ID.
+ * @param {string} documentID
+ *   The tip's document ID.
+ * @param {number} priority
+ *   The tip's priority.
+ * @param {object} preconditions
+ *   The tip's preconditions.
+ * @return {object}
+ *   A tip definition.
+ */
+function makeTip(id, documentID, priority, preconditions = {}) {
+  return {
+    id,
+    document: documentID,
+    priority,
+    preconditions,
+    payload: { text: id, buttonText: id },
+    action: { name: "openURL", url: "https://example.com/" },
+  };
+}
@@ -0,0 +1,183 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+// Tests loading the tip catalog from the storage.catalogURL override.  The
+// add-on only loads catalogs from data:, https:, and its own URLs, and only if
+// they're signed.  The test catalog is signed with the test key, which
+// setCatalogURL makes the add-on trust through a test-only pref.
+
+"use strict";
+
+// The test catalog, served from the test directory.
+const TEST_CATALOG_CHROME_URL =
+  getRootDirectory(gTestPath) + "catalog_test.json";
+
+// A search string that triggers the tip in the test catalog.
+const TEST_CATALOG_SEARCH_STRING = "firefox catalog test";
+
+// The https: URL of the test catalog.
+const TEST_CATALOG_HTTPS_URL =
+  getRootDirectory(gTestPath).replace(
+    "chrome://mochitests/content",
+    "https://example.com"
+  ) + "catalog_test.json";
+
+// A data: URL of the test catalog.  Set by init.
+let testCatalogURL;
+
+add_task(async function init() {
+  await initAddonTest(ADDON_PATH, EXPECTED_ADDON_SIGNED_STATE);
+  let catalog = await (await fetch(TEST_CATALOG_CHROME_URL)).json();
+  testCatalogURL = makeDataURL(catalog);
+});
+
+// The catalog at the override URL should replace the bundled catalog, and the
+// bundled catalog should be used again when the override is removed.
+add_task(async function override() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      await checkBundledCatalog();
+
+      await setCatalogURL(testCatalogURL);
+      await checkTestCatalog();
+
+      await setCatalogURL("");
+      await checkBundledCatalog();
+    });
+  });
+});
+
+// The catalog at an https: override URL should be loaded.
+add_task(async function httpsOverride() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      await setCatalogURL(TEST_CATALOG_HTTPS_URL);
+      await checkTestCatalog();
+
+      await setCatalogURL("");
+      await checkBundledCatalog();
+    });
+  });
+});
+
+// The bundled catalog should be used when the override can't be fetched.
+add_task(async function missing() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      let policy = WebExtensionPolicy.getByID(gAddonID);
+      await setCatalogURL(policy.getURL("nonexistent.json"));
+      await checkBundledCatalog();
+    });
+  });
+});
+
+// The bundled catalog should be used when the override's hash doesn't match
+// its definitions.
+add_task(async function invalidHash() {
+  let catalog = await (await fetch(TEST_CATALOG_CHROME_URL)).json();
+  catalog.definitions.tips[0].payload.text = "Tampered";
+  let url = makeDataURL(catalog);
+
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      // Load the valid test catalog first to make sure the add-on switches
+      // back to the bundled catalog.
+      await setCatalogURL(testCatalogURL);
+      await checkTestCatalog();
+
+      await setCatalogURL(url);
+      await checkBundledCatalog();
+    });
+  });
+});
+
+// The bundled catalog should be used when the override isn't signed or is
+// signed with a key the add-on doesn't trust.
+add_task(async function invalidSignature() {
+  let catalog = await (await fetch(TEST_CATALOG_CHROME_URL)).json();
+  delete catalog.signature;
+  let unsignedURL = makeDataURL(catalog);
+
+  let { privateKey } = await crypto.subtle.generateKey(
+    { name: "ECDSA", namedCurve: "P-256" },
+    true,
+    ["sign", "verify"]
+  );
+  let untrustedURL = makeDataURL(
+    await signCatalog(catalog, await crypto.subtle.exportKey("jwk", privateKey))
+  );
+
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      for (let url of [unsignedURL, untrustedURL]) {
+        await setCatalogURL(testCatalogURL);
+        await checkTestCatalog();
+
+        await setCatalogURL(url);
+        await checkBundledCatalog();
+      }
+    });
+  });
+});
+
+// The add-on shouldn't trust keys from its storage, only the test key from the
+// test pref.
+add_task(async function storagePublicKey() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      let conn = await getExtensionStorage();
+      await conn.set({
+        catalogURL: testCatalogURL,
+        catalogPublicKey: TEST_CATALOG_KEY.publicKey,
+      });
+      await checkBundledCatalog();
+      await conn.set({ catalogURL: "", catalogPublicKey: null });
+    });
+  });
+});
+
+// The bundled catalog should be used when the override is on an insecure
+// network URL, even if the catalog there is signed.
+add_task(async function untrustedURL() {
+  let url = TEST_CATALOG_HTTPS_URL.replace("https:", "http:");
+
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      await setCatalogURL(testCatalogURL);
+      await checkTestCatalog();
+
+      await setCatalogURL(url);
+      await checkBundledCatalog();
+    });
+  });
+});
+
+/**
+ * Checks that the tips in the bundled catalog are shown and the tip in the test
+ * catalog isn't.
+ */
+async function checkBundledCatalog() {
+  let [result] = await awaitTip(SEARCH_STRINGS.CLEAR);
+  Assert.strictEqual(result.payload.type, TIPS.CLEAR);
+  await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+
+  await awaitNoTip(TEST_CATALOG_SEARCH_STRING);
+  await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+}
+
+/**
+ * Checks that the tip in the test catalog is shown and the tips in the bundled
+ * catalog aren't.
+ */
+async function checkTestCatalog() {
+  let [result, element] = await awaitTip(TEST_CATALOG_SEARCH_STRING);
+  Assert.strictEqual(result.payload.type, TIPS.REFRESH);
+  Assert.equal(
+    element._elements.get("title").textContent,
+    "This tip is from the test catalog."
+  );
+  await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+
+  await awaitNoTip(SEARCH_STRINGS.CLEAR);
+  await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+}
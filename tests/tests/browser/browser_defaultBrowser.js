@@ -0,0 +1,115 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+// Checks the default browser tips.  The shell service is stubbed so that the
+// tests don't depend on or change the default browser of the machine running
+// them.
+
+"use strict";
+
+const { sinon } = ChromeUtils.import("resource://testing-common/Sinon.jsm");
+const { ShellService } = ChromeUtils.import(
+  "resource:///modules/ShellService.jsm"
+);
+
+let sandbox;
+
+add_task(async function init() {
+  await initAddonTest(ADDON_PATH, EXPECTED_ADDON_SIGNED_STATE);
+  sandbox = sinon.createSandbox();
+  registerCleanupFunction(() => sandbox.restore());
+});
+
+// Tests the set-default tip on the treatment branch.
+add_task(async function defaultBrowser_treatment() {
+  let isDefaultStub = sandbox
+    .stub(ShellService, "isDefaultBrowser")
+    .returns(false);
+  let setDefaultStub = sandbox.stub(ShellService, "setDefaultBrowser");
+
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      // Pick the tip, which should make the browser the default.
+      await doTreatmentTest({
+        searchString: SEARCH_STRINGS.DEFAULT_BROWSER,
+        tip: TIPS.DEFAULT_BROWSER,
+        title:
+          "Make Firefox your default browser to open links from other apps in Firefox.",
+        button: "Make Firefox Default",
+        awaitCallback() {
+          return TestUtils.waitForCondition(
+            () => setDefaultStub.called,
+            "Wait for setDefaultBrowser to be called"
+          );
+        },
+      });
+    });
+  });
+
+  Assert.ok(isDefaultStub.called);
+  sandbox.restore();
+});
+
+// Tests the set-default tip on the control branch.
+add_task(async function defaultBrowser_control() {
+  sandbox.stub(ShellService, "isDefaultBrowser").returns(false);
+  let setDefaultStub = sandbox.stub(ShellService, "setDefaultBrowser");
+
+  await withStudy({ branch: BRANCHES.CONTROL }, async () => {
+    await withAddon(async () => {
+      await doControlTest({
+        searchString: SEARCH_STRINGS.DEFAULT_BROWSER,
+        tip: TIPS.DEFAULT_BROWSER,
+      });
+    });
+  });
+
+  Assert.ok(!setDefaultStub.called);
+  sandbox.restore();
+});
+
+// When the browser is already the default, the confirmation tip should be
+// shown instead.  Picking it only acknowledges it, so it shouldn't do anything,
+// count as a pick, or open the survey.
+add_task(async function defaultBrowser_already() {
+  sandbox.stub(ShellService, "isDefaultBrowser").returns(true);
+  let setDefaultStub = sandbox.stub(ShellService, "setDefaultBrowser");
+
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      Services.telemetry.clearScalars();
+      await forceSurvey(FORCE_SURVEY_ENABLE);
+      let count = gBrowser.tabs.length;
+
+      let [result, element] = await awaitTip(SEARCH_STRINGS.DEFAULT_BROWSER);
+      Assert.strictEqual(result.payload.type, TIPS.DEFAULT_BROWSER_ALREADY);
+      Assert.equal(
+        element._elements.get("title").textContent,
+        "Firefox is already your default browser."
+      );
+      Assert.equal(element._elements.get("tipButton").textContent, "Got It");
+      await pickTip();
+
+      await TestUtils.waitForCondition(
+        () =>
+          TELEMETRY_SHOWN in
+          TelemetryTestUtils.getProcessScalars("dynamic", true),
+        "Wait for telemetry to be recorded"
+      );
+      // eslint-disable-next-line mozilla/no-arbitrary-setTimeout
+      await new Promise(r => setTimeout(r, 1000));
+      let scalars = TelemetryTestUtils.getProcessScalars("dynamic", true, true);
+      TelemetryTestUtils.assertKeyedScalar(
+        scalars,
+        TELEMETRY_SHOWN,
+        TIPS.DEFAULT_BROWSER_ALREADY,
+        1
+      );
+      Assert.ok(!(TELEMETRY_PICKED in scalars));
+      Assert.equal(gBrowser.tabs.length, count, "The survey isn't opened");
+    });
+  });
+
+  Assert.ok(!setDefaultStub.called);
+  sandbox.restore();
+});
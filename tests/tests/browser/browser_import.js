@@ -0,0 +1,102 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+// Checks the import tip.  MigrationUtils is stubbed so that the tests don't
+// depend on the browsers installed on the machine running them.
+
+"use strict";
+
+const { sinon } = ChromeUtils.import("resource://testing-common/Sinon.jsm");
+const { MigrationUtils } = ChromeUtils.import(
+  "resource:///modules/MigrationUtils.jsm"
+);
+
+const MIGRATION_WIZARD_URIS = [
+  "chrome://browser/content/migration/migration.xhtml",
+  "chrome://browser/content/migration/migration.xul",
+];
+
+let sandbox;
+
+add_task(async function init() {
+  await initAddonTest(ADDON_PATH, EXPECTED_ADDON_SIGNED_STATE);
+  sandbox = sinon.createSandbox();
+  registerCleanupFunction(() => sandbox.restore());
+});
+
+// Tests the import tip on the treatment branch.  It should name the user's
+// default browser when it's one of the browsers they can import from.
+add_task(async function import_treatment() {
+  stubMigrators(["chrome", "safari"], "safari");
+
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      // Pick the tip, which should open the migration wizard.
+      await doTreatmentTest({
+        searchString: SEARCH_STRINGS.IMPORT,
+        tip: TIPS.IMPORT,
+        title: "Bring your bookmarks, passwords and history over from Safari.",
+        button: "Import from Safari…",
+        async awaitCallback() {
+          // The wizard uses MigrationUtils too, so let it use the real one.
+          sandbox.restore();
+          let win = await BrowserTestUtils.domWindowOpened(null, async win => {
+            await BrowserTestUtils.waitForEvent(win, "load");
+            return MIGRATION_WIZARD_URIS.includes(win.document.documentURI);
+          });
+          await BrowserTestUtils.closeWindow(win);
+        },
+      });
+    });
+  });
+
+  sandbox.restore();
+});
+
+// Tests the import tip on the control branch.
+add_task(async function import_control() {
+  stubMigrators(["chrome"], "");
+
+  await withStudy({ branch: BRANCHES.CONTROL }, async () => {
+    await withAddon(async () => {
+      await doControlTest({
+        searchString: SEARCH_STRINGS.IMPORT,
+        tip: TIPS.IMPORT,
+      });
+    });
+  });
+
+  sandbox.restore();
+});
+
+// The import tip shouldn't be shown when there are no browsers to import from.
+add_task(async function import_noBrowsers() {
+  stubMigrators([], "");
+
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      await awaitNoTip(SEARCH_STRINGS.IMPORT);
+      await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+    });
+  });
+
+  sandbox.restore();
+});
+
+/**
+ * Stubs MigrationUtils so that the add-on detects some browsers to import from.
+ *
+ * @param {array} keys
+ *   The migrator keys of the browsers, like "chrome".
+ * @param {string} defaultKey
+ *   The migrator key of the user's default browser, or an empty string if it's
+ *   not a browser they can import from.
+ */
+function stubMigrators(keys, defaultKey) {
+  sandbox
+    .stub(MigrationUtils, "getMigrator")
+    .callsFake(async key => (keys.includes(key) ? {} : null));
+  sandbox
+    .stub(MigrationUtils, "getMigratorKeyForDefaultBrowser")
+    .returns(defaultKey);
+}
@@ -0,0 +1,150 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+// Checks the tip preconditions that none of the bundled tips use.  Each test
+// loads a catalog whose only tip has the precondition.
+
+/* global TipRegistry */
+
+"use strict";
+
+// A search string that triggers the tip in the test catalogs.
+const TEST_SEARCH_STRING = "firefox precondition test";
+
+add_task(async function init() {
+  await initAddonTest(ADDON_PATH, EXPECTED_ADDON_SIGNED_STATE);
+
+  // Load TipRegistry.js from the add-on so that makeCatalog can use it.
+  await withAddon(async addon => {
+    let fileURI = addon.getResourceURI("TipRegistry.js");
+    Services.scriptloader.loadSubScript(fileURI.spec);
+  });
+});
+
+// The os precondition should be met on the platform running the test.
+add_task(async function os() {
+  let os = AppConstants.platform == "macosx" ? "mac" : AppConstants.platform;
+  await checkPrecondition(
+    { os },
+    { os: os == "win" ? "linux" : "win" },
+    "suppressed_os"
+  );
+});
+
+// The test profile has no update history, so the daysSinceBrowserUpdate
+// precondition should fall back to when the profile was first used, which was
+// just now.
+add_task(async function daysSinceBrowserUpdate() {
+  await checkPrecondition(
+    { daysSinceBrowserUpdate: { max: 365 } },
+    { daysSinceBrowserUpdate: { min: 366 } },
+    "suppressed_daysSinceBrowserUpdate"
+  );
+});
+
+// The profileAgeDays precondition should be met by the age of the test profile,
+// which was just created.
+add_task(async function profileAgeDays() {
+  await checkPrecondition(
+    { profileAgeDays: { max: 365 } },
+    { profileAgeDays: { min: 366 } },
+    "suppressed_profileAgeDays"
+  );
+});
+
+// A tip with the notificationShown precondition decides for itself whether it's
+// shown while the browser is showing another notification.  Other tips are
+// always suppressed then.  See browser_test.js.
+add_task(async function notificationShown() {
+  let box = gBrowser.getNotificationBox();
+  let notification = box.appendNotification(
+    "Test notification",
+    "urlbar-interventions-test",
+    null,
+    box.PRIORITY_INFO_LOW
+  );
+  await checkPrecondition(
+    { notificationShown: true },
+    { notificationShown: false },
+    "suppressed_notificationShown"
+  );
+  box.removeNotification(notification, true);
+});
+
+/**
+ * Checks that the tip in a test catalog is shown when its preconditions are met
+ * and suppressed when they aren't.
+ *
+ * @param {object} metPreconditions
+ *   Preconditions that should be met.
+ * @param {object} unmetPreconditions
+ *   Preconditions that shouldn't be met.
+ * @param {string} suppressedKey
+ *   The tipSuppressedCount key that should be recorded when the preconditions
+ *   aren't met.
+ */
+async function checkPrecondition(
+  metPreconditions,
+  unmetPreconditions,
+  suppressedKey
+) {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      await setCatalogURL(makeDataURL(await makeCatalog(metPreconditions)));
+      let [result] = await awaitTip(TEST_SEARCH_STRING);
+      Assert.strictEqual(result.payload.type, TIPS.REFRESH);
+      await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+
+      Services.telemetry.clearScalars();
+      await setCatalogURL(makeDataURL(await makeCatalog(unmetPreconditions)));
+      await awaitNoTip(TEST_SEARCH_STRING);
+      await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+
+      await TestUtils.waitForCondition(
+        () =>
+          TELEMETRY_SUPPRESSED in
+          TelemetryTestUtils.getProcessScalars("dynamic", true),
+        "Wait for telemetry to be recorded"
+      );
+      let scalars = TelemetryTestUtils.getProcessScalars("dynamic", true, true);
+      TelemetryTestUtils.assertKeyedScalar(
+        scalars,
+        TELEMETRY_SUPPRESSED,
+        suppressedKey,
+        1
+      );
+      Assert.ok(!(TELEMETRY_SHOWN in scalars));
+
+      await setCatalogURL("");
+    });
+  });
+}
+
+/**
+ * Makes a signed catalog with one tip.
+ *
+ * @param {object} preconditions
+ *   The tip's preconditions.
+ * @return {object}
+ *   The catalog.
+ */
+async function makeCatalog(preconditions) {
+  let definitions = {
+    documents: [{ id: "refresh", phrases: [TEST_SEARCH_STRING] }],
+    tips: [
+      {
+        id: TIPS.REFRESH,
+        document: "refresh",
+        priority: 1,
+        preconditions,
+        payload: {
+          text: "This tip is from a test catalog.",
+          buttonText: "Refresh Firefox…",
+        },
+        action: { name: "resetBrowser" },
+      },
+    ],
+  };
+  let sha256 = await TipRegistry.hashDefinitions(definitions);
+  return signCatalog({ version: 1, sha256, definitions });
+}
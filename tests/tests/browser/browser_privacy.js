@@ -0,0 +1,223 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+// Checks the privacy, passwords, and tracking-protection tips.
+
+"use strict";
+
+const { LoginTestUtils } = ChromeUtils.import(
+  "resource://testing-common/LoginTestUtils.jsm"
+);
+
+const TRACKING_PROTECTION_CATEGORY_PREF = "browser.contentblocking.category";
+
+add_task(async function init() {
+  await initAddonTest(ADDON_PATH, EXPECTED_ADDON_SIGNED_STATE);
+});
+
+// Tests the private window tip on the treatment branch.
+add_task(async function privateWindow_treatment() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      // Pick the tip, which should open a private window.
+      await doTreatmentTest({
+        searchString: SEARCH_STRINGS.PRIVATE_WINDOW,
+        tip: TIPS.PRIVATE_WINDOW,
+        title:
+          "Browse without saving history, cookies or passwords on this computer.",
+        button: "Open a Private Window",
+        async awaitCallback() {
+          let win = await BrowserTestUtils.waitForNewWindow();
+          Assert.ok(PrivateBrowsingUtils.isWindowPrivate(win));
+          await BrowserTestUtils.closeWindow(win);
+        },
+      });
+    });
+  });
+});
+
+// Tests the private window tip on the control branch.
+add_task(async function privateWindow_control() {
+  await withStudy({ branch: BRANCHES.CONTROL }, async () => {
+    await withAddon(async () => {
+      await doControlTest({
+        searchString: SEARCH_STRINGS.PRIVATE_WINDOW,
+        tip: TIPS.PRIVATE_WINDOW,
+      });
+    });
+  });
+});
+
+// Tests the passwords tip on the treatment branch.
+add_task(async function passwords_treatment() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      // Pick the tip, which should open about:logins.
+      await doTreatmentTest({
+        searchString: SEARCH_STRINGS.PASSWORDS,
+        tip: TIPS.PASSWORDS,
+        title:
+          "See and manage the logins and passwords that Firefox saves for you.",
+        button: "View Saved Logins",
+        async awaitCallback() {
+          let tab = await BrowserTestUtils.waitForNewTab(
+            gBrowser,
+            url => url.startsWith("about:logins"),
+            true
+          );
+          BrowserTestUtils.removeTab(tab);
+        },
+      });
+    });
+  });
+});
+
+// Tests the passwords tip on the control branch.
+add_task(async function passwords_control() {
+  await withStudy({ branch: BRANCHES.CONTROL }, async () => {
+    await withAddon(async () => {
+      await doControlTest({
+        searchString: SEARCH_STRINGS.PASSWORDS,
+        tip: TIPS.PASSWORDS,
+      });
+    });
+  });
+});
+
+// In private windows, the passwords tip should be shown only when there's no
+// primary password.
+add_task(async function passwords_private() {
+  // Make sure the extension works in PBM.  See clear_treatment_private in
+  // browser_test.js.
+  await SpecialPowers.pushPrefEnv({
+    set: [["extensions.allowPrivateBrowsingByDefault", true]],
+  });
+
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      let win = await BrowserTestUtils.openNewBrowserWindow({ private: true });
+
+      let [result] = await awaitTip(SEARCH_STRINGS.PASSWORDS, win);
+      Assert.strictEqual(result.payload.type, TIPS.PASSWORDS_PRIVATE);
+      await UrlbarTestUtils.promisePopupClose(win, () => win.gURLBar.blur());
+
+      LoginTestUtils.masterPassword.enable();
+      try {
+        await awaitNoTip(SEARCH_STRINGS.PASSWORDS, win);
+        await UrlbarTestUtils.promisePopupClose(win, () => win.gURLBar.blur());
+      } finally {
+        LoginTestUtils.masterPassword.disable();
+      }
+
+      await BrowserTestUtils.closeWindow(win);
+    });
+  });
+
+  await SpecialPowers.popPrefEnv();
+});
+
+// Tests the tracking protection tip on the treatment branch.
+add_task(async function trackingProtection_treatment() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      // Pick the tip, which should open the privacy settings.
+      await doTreatmentTest({
+        searchString: SEARCH_STRINGS.TRACKING_PROTECTION,
+        tip: TIPS.TRACKING_PROTECTION,
+        title:
+          "Firefox blocks trackers that follow you around the web. Choose how much to block.",
+        button: "Open Privacy Settings",
+        async awaitCallback() {
+          let tab = await BrowserTestUtils.waitForNewTab(
+            gBrowser,
+            url => url.startsWith("about:preferences"),
+            true
+          );
+          BrowserTestUtils.removeTab(tab);
+        },
+      });
+    });
+  });
+});
+
+// Tests the tracking protection tip on the control branch.
+add_task(async function trackingProtection_control() {
+  await withStudy({ branch: BRANCHES.CONTROL }, async () => {
+    await withAddon(async () => {
+      await doControlTest({
+        searchString: SEARCH_STRINGS.TRACKING_PROTECTION,
+        tip: TIPS.TRACKING_PROTECTION,
+      });
+    });
+  });
+});
+
+// Tests the strict tracking protection tip on the treatment branch.
+add_task(async function strictTrackingProtection_treatment() {
+  await SpecialPowers.pushPrefEnv({
+    set: [[TRACKING_PROTECTION_CATEGORY_PREF, "standard"]],
+  });
+
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      // Pick the tip, which should ask for confirmation.  Accept it.
+      await doTreatmentTest({
+        searchString: SEARCH_STRINGS.STRICT_TRACKING_PROTECTION,
+        tip: TIPS.STRICT_TRACKING_PROTECTION,
+        title:
+          "Strict protection blocks more trackers, but some sites may not work properly.",
+        button: "Turn On Strict Protection…",
+        awaitCallback() {
+          return promiseAlertDialog("accept", [
+            "chrome://global/content/commonDialog.xhtml",
+            "chrome://global/content/commonDialog.xul",
+          ]);
+        },
+      });
+      await TestUtils.waitForCondition(
+        () =>
+          Services.prefs.getStringPref(TRACKING_PROTECTION_CATEGORY_PREF) ==
+          "strict",
+        "Wait for strict mode to be enabled"
+      );
+    });
+  });
+
+  await SpecialPowers.popPrefEnv();
+});
+
+// Tests the strict tracking protection tip on the control branch.
+add_task(async function strictTrackingProtection_control() {
+  await SpecialPowers.pushPrefEnv({
+    set: [[TRACKING_PROTECTION_CATEGORY_PREF, "standard"]],
+  });
+
+  await withStudy({ branch: BRANCHES.CONTROL }, async () => {
+    await withAddon(async () => {
+      await doControlTest({
+        searchString: SEARCH_STRINGS.STRICT_TRACKING_PROTECTION,
+        tip: TIPS.STRICT_TRACKING_PROTECTION,
+      });
+    });
+  });
+
+  await SpecialPowers.popPrefEnv();
+});
+
+// When strict mode is already enabled, the tracking protection tip should be
+// shown instead of the strict tracking protection tip.
+add_task(async function strictTrackingProtection_alreadyStrict() {
+  await SpecialPowers.pushPrefEnv({
+    set: [[TRACKING_PROTECTION_CATEGORY_PREF, "strict"]],
+  });
+
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      let [result] = await awaitTip(SEARCH_STRINGS.STRICT_TRACKING_PROTECTION);
+      Assert.strictEqual(result.payload.type, TIPS.TRACKING_PROTECTION);
+      await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+    });
+  });
+
+  await SpecialPowers.popPrefEnv();
+});
@@ -43,6 +43,83 @@ add_task(async function refresh_control() {
   });
 });
 
+// Tests the safe mode tip on the treatment branch.  It takes priority over the
+// refresh tip for the phrases they share.
+add_task(async function safeMode_treatment() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      // Picking the tip should ask for confirmation.  Accepting it should
+      // attempt to restart the browser.
+      await doTreatmentTest({
+        searchString: SEARCH_STRINGS.SAFE_MODE,
+        tip: TIPS.SAFE_MODE,
+        title:
+          "Restart Firefox with add-ons turned off to see if one of them is causing the problem.",
+        button: "Restart in Safe Mode…",
+        async awaitCallback() {
+          let restartRequested = awaitAppRestartRequest();
+          await promiseAlertDialog("accept", [
+            "chrome://global/content/commonDialog.xhtml",
+            "chrome://global/content/commonDialog.xul",
+          ]);
+          await restartRequested;
+        },
+      });
+
+      // Since the browser restarts, the survey should be opened on startup.
+      let conn = await getExtensionStorage();
+      await TestUtils.waitForCondition(async () => {
+        let storage = await conn.get(["surveyToOpenOnStartup"]);
+        return storage.surveyToOpenOnStartup == TIPS.SAFE_MODE;
+      }, "Wait for the survey to be saved for startup");
+    });
+  });
+});
+
+// Tests the safe mode tip on the treatment branch when the user cancels the
+// confirmation.  The browser shouldn't restart.
+add_task(async function safeMode_treatment_cancel() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      let restartRequested = false;
+      let observer = cancelQuit => {
+        restartRequested = true;
+        cancelQuit.QueryInterface(Ci.nsISupportsPRBool).data = true;
+      };
+      Services.obs.addObserver(observer, "quit-application-requested");
+
+      await doTreatmentTest({
+        searchString: SEARCH_STRINGS.SAFE_MODE,
+        tip: TIPS.SAFE_MODE,
+        title:
+          "Restart Firefox with add-ons turned off to see if one of them is causing the problem.",
+        button: "Restart in Safe Mode…",
+        awaitCallback() {
+          return promiseAlertDialog("cancel", [
+            "chrome://global/content/commonDialog.xhtml",
+            "chrome://global/content/commonDialog.xul",
+          ]);
+        },
+      });
+
+      Services.obs.removeObserver(observer, "quit-application-requested");
+      Assert.ok(!restartRequested, "The browser shouldn't restart");
+    });
+  });
+});
+
+// Tests the safe mode tip on the control branch.
+add_task(async function safeMode_control() {
+  await withStudy({ branch: BRANCHES.CONTROL }, async () => {
+    await withAddon(async () => {
+      await doControlTest({
+        searchString: SEARCH_STRINGS.SAFE_MODE,
+        tip: TIPS.SAFE_MODE,
+      });
+    });
+  });
+});
+
 // Tests the clear tip on the treatment branch.
 add_task(async function clear_treatment() {
   await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
@@ -77,6 +154,21 @@ add_task(async function clear_control() {
   });
 });
 
+// The clear tip shouldn't be shown for queries about other browsers.
+add_task(async function clear_otherBrowsers() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      for (let searchString of [
+        "clear cache chrome",
+        "how to clear history on chrome",
+      ]) {
+        await awaitNoTip(searchString);
+        await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+      }
+    });
+  });
+});
+
 // Tests the clear tip on the treatment branch in a private window.  The clear
 // tip shouldn't appear in private windows.
 add_task(async function clear_treatment_private() {
@@ -135,6 +227,14 @@ add_task(async function clear_treatment_private() {
       Assert.ok(!(TIPS.CLEAR in scalars[TELEMETRY_SHOWN]));
       Assert.ok(!(TELEMETRY_PICKED in scalars));
 
+      // The clear tip should be recorded as suppressed by the private window.
+      TelemetryTestUtils.assertKeyedScalar(
+        scalars,
+        TELEMETRY_SUPPRESSED,
+        "suppressed_privateWindow",
+        1
+      );
+
       await BrowserTestUtils.closeWindow(win);
     });
   });
@@ -142,6 +242,99 @@ add_task(async function clear_treatment_private() {
   await SpecialPowers.popPrefEnv();
 });
 
+// Tests the clear-site tip on the treatment branch.
+add_task(async function clearSite_treatment() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      // The tip is only shown when the selected tab is showing a web page.
+      await BrowserTestUtils.withNewTab("http://example.com/", async () => {
+        // Pick the tip, which should open the dialog that confirms which site's
+        // data will be removed.  Click its cancel button.
+        await doTreatmentTest({
+          searchString: SEARCH_STRINGS.CLEAR_SITE,
+          tip: TIPS.CLEAR_SITE,
+          title: "Clear cookies, cache and other data stored by this site.",
+          button: "Clear Site Data…",
+          awaitCallback() {
+            return promiseAlertDialog("cancel", [
+              "chrome://browser/content/preferences/siteDataRemoveSelected.xhtml",
+              "chrome://browser/content/preferences/siteDataRemoveSelected.xul",
+            ]);
+          },
+        });
+      });
+    });
+  });
+});
+
+// Picking the clear-site tip and accepting the dialog should clear the site's
+// data.
+add_task(async function clearSite_treatment_accept() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      await BrowserTestUtils.withNewTab(
+        "http://example.com/",
+        async browser => {
+          // Give the site a cookie.  Sites with only cookies aren't in
+          // SiteDataManager's list of sites until it updates.
+          await SpecialPowers.spawn(browser, [], () => {
+            content.document.cookie = "test=1";
+          });
+          await TestUtils.waitForCondition(
+            () => Services.cookies.countCookiesFromHost("example.com"),
+            "Wait for the cookie to be set"
+          );
+
+          await doTreatmentTest({
+            searchString: SEARCH_STRINGS.CLEAR_SITE,
+            tip: TIPS.CLEAR_SITE,
+            title: "Clear cookies, cache and other data stored by this site.",
+            button: "Clear Site Data…",
+            awaitCallback() {
+              return promiseAlertDialog("accept", [
+                "chrome://browser/content/preferences/siteDataRemoveSelected.xhtml",
+                "chrome://browser/content/preferences/siteDataRemoveSelected.xul",
+              ]);
+            },
+          });
+
+          await TestUtils.waitForCondition(
+            () => !Services.cookies.countCookiesFromHost("example.com"),
+            "Wait for the site's cookies to be cleared"
+          );
+        }
+      );
+    });
+  });
+});
+
+// Tests the clear-site tip on the control branch.
+add_task(async function clearSite_control() {
+  await withStudy({ branch: BRANCHES.CONTROL }, async () => {
+    await withAddon(async () => {
+      await BrowserTestUtils.withNewTab("http://example.com/", async () => {
+        await doControlTest({
+          searchString: SEARCH_STRINGS.CLEAR_SITE,
+          tip: TIPS.CLEAR_SITE,
+        });
+      });
+    });
+  });
+});
+
+// The clear-site tip shouldn't appear when the selected tab isn't showing a web
+// page.
+add_task(async function clearSite_treatment_noWebPage() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      await BrowserTestUtils.withNewTab("about:blank", async () => {
+        await awaitNoTip(SEARCH_STRINGS.CLEAR_SITE);
+        await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+      });
+    });
+  });
+});
+
 // Makes sure engagement event telemetry is recorded on the treatment branch.
 // We have a separate comprehensive test in the tree for engagement event
 // telemetry, so we don't test everything here.  We only make sure that it's
@@ -326,6 +519,72 @@ add_task(async function noBranch() {
   });
 });
 
+// Tips shouldn't be shown when the last word of the query is only one or two
+// letters, which could be the beginning of too many words.
+add_task(async function shortLastWord() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      for (let searchString of [
+        "firefox c",
+        "firefox s",
+        "firefox hi",
+        "firefox is",
+      ]) {
+        await awaitNoTip(searchString);
+        await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+      }
+
+      // Once it's three letters long, it's matched against the beginnings of
+      // phrase words.
+      let [result] = await awaitTip("firefox his");
+      Assert.strictEqual(result.payload.type, TIPS.CLEAR);
+      await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+    });
+  });
+});
+
+// Tips shouldn't be shown while the browser is showing another notification,
+// like an infobar.  They should be shown again once it's gone.
+add_task(async function notificationShown() {
+  await withStudy({ branch: BRANCHES.TREATMENT }, async () => {
+    await withAddon(async () => {
+      Services.telemetry.clearScalars();
+
+      let box = gBrowser.getNotificationBox();
+      let notification = box.appendNotification(
+        "Test notification",
+        "urlbar-interventions-test",
+        null,
+        box.PRIORITY_INFO_LOW
+      );
+      await awaitNoTip(SEARCH_STRINGS.REFRESH);
+      await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+      box.removeNotification(notification, true);
+
+      // The suppression should be recorded in telemetry, but the tip shouldn't
+      // be recorded as shown.
+      await TestUtils.waitForCondition(
+        () =>
+          TELEMETRY_SUPPRESSED in
+          TelemetryTestUtils.getProcessScalars("dynamic", true),
+        "Wait for telemetry to be recorded"
+      );
+      let scalars = TelemetryTestUtils.getProcessScalars("dynamic", true, true);
+      TelemetryTestUtils.assertKeyedScalar(
+        scalars,
+        TELEMETRY_SUPPRESSED,
+        "suppressed_notification",
+        1
+      );
+      Assert.ok(!(TELEMETRY_SHOWN in scalars));
+
+      let [result] = await awaitTip(SEARCH_STRINGS.REFRESH);
+      Assert.strictEqual(result.payload.type, TIPS.REFRESH);
+      await UrlbarTestUtils.promisePopupClose(window, () => gURLBar.blur());
+    });
+  });
+});
+
 add_task(async function unrecognizedBranch() {
   await withStudy({ branch: "bogus" }, async () => {
     await withAddon(async () => {
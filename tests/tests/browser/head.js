@@ -14,6 +14,7 @@ XPCOMUtils.defineLazyModuleGetters(this, {
   AddonTestUtils: "resource://testing-common/AddonTestUtils.jsm",
   ExtensionStorageIDB: "resource://gre/modules/ExtensionStorageIDB.jsm",
   NormandyTestUtils: "resource://testing-common/NormandyTestUtils.jsm",
+  PrivateBrowsingUtils: "resource://gre/modules/PrivateBrowsingUtils.jsm",
   ResetProfile: "resource://gre/modules/ResetProfile.jsm",
   TelemetryTestUtils: "resource://testing-common/TelemetryTestUtils.jsm",
   UpdateUtils: "resource://gre/modules/UpdateUtils.jsm",
@@ -40,7 +41,17 @@ const BRANCHES = {
 const TIPS = {
   NONE: "",
   CLEAR: "clear",
+  CLEAR_SITE: "clear_site",
+  DEFAULT_BROWSER: "default_browser",
+  DEFAULT_BROWSER_ALREADY: "default_browser_already",
+  IMPORT: "import",
+  PASSWORDS: "passwords",
+  PASSWORDS_PRIVATE: "passwords_private",
+  PRIVATE_WINDOW: "private_window",
   REFRESH: "refresh",
+  SAFE_MODE: "safe_mode",
+  STRICT_TRACKING_PROTECTION: "strict_tracking_protection",
+  TRACKING_PROTECTION: "tracking_protection",
   UPDATE_RESTART: "update_restart",
   UPDATE_ASK: "update_ask",
   UPDATE_REFRESH: "update_refresh",
@@ -49,7 +60,15 @@ const TIPS = {
 
 const SEARCH_STRINGS = {
   CLEAR: "firefox history",
+  CLEAR_SITE: "clear cookies for this site",
+  DEFAULT_BROWSER: "make firefox default browser",
+  IMPORT: "import chrome passwords",
+  PASSWORDS: "firefox saved passwords",
+  PRIVATE_WINDOW: "firefox private browsing",
   REFRESH: "firefox slow",
+  SAFE_MODE: "firefox keeps crashing",
+  STRICT_TRACKING_PROTECTION: "firefox strict mode",
+  TRACKING_PROTECTION: "firefox block trackers",
   UPDATE: "firefox update",
 };
 
@@ -58,6 +77,8 @@ const TELEMETRY_SHOWN_PART = "tipShownCount";
 const TELEMETRY_SHOWN = `${TELEMETRY_ROOT}.${TELEMETRY_SHOWN_PART}`;
 const TELEMETRY_PICKED_PART = "tipPickedCount";
 const TELEMETRY_PICKED = `${TELEMETRY_ROOT}.${TELEMETRY_PICKED_PART}`;
+const TELEMETRY_SUPPRESSED_PART = "tipSuppressedCount";
+const TELEMETRY_SUPPRESSED = `${TELEMETRY_ROOT}.${TELEMETRY_SUPPRESSED_PART}`;
 
 const SURVEY_URL = "https://qsurvey.mozilla.com/s3/Search-Interventions";
 
@@ -66,6 +87,30 @@ const MAX_SURVEY_OPEN_COUNT = 3;
 const FORCE_SURVEY_ENABLE = 1;
 const FORCE_SURVEY_DISABLE = 2;
 
+// The pref that makes the add-on trust `TEST_CATALOG_KEY`.  The add-on only
+// reads it in automation.
+const TEST_CATALOG_PUBLIC_KEY_PREF =
+  "extensions.urlbar-interventions.testCatalogPublicKey";
+
+// The key pair that tests sign catalogs with, in JWK format.  `setCatalogURL`
+// makes the add-on trust the public key.  The key is only for tests, so it's
+// fine that the private key is public.
+const TEST_CATALOG_KEY = {
+  publicKey: {
+    kty: "EC",
+    crv: "P-256",
+    x: "MyzEBQrMNnAhHuhR4GXq-Ql0-Up2TjpF1ufHZqRq78A",
+    y: "xWkr8hVyZcmasFZNlYnbnk9JYGXCERBBChDcQG8Jy_g",
+  },
+  privateKey: {
+    kty: "EC",
+    crv: "P-256",
+    x: "MyzEBQrMNnAhHuhR4GXq-Ql0-Up2TjpF1ufHZqRq78A",
+    y: "xWkr8hVyZcmasFZNlYnbnk9JYGXCERBBChDcQG8Jy_g",
+    d: "AbDBpP9_SzbZnrzJ_zKBcENse2FaxJ0d4xifFt0zJ0s",
+  },
+};
+
 // For our app-update tests, we use helpers from the About window app-update
 // tests.
 //
@@ -651,6 +696,68 @@ async function getExtensionStorage() {
   return ExtensionStorageIDB.open(storagePrincipal);
 }
 
+/**
+ * Makes a data: URL of a catalog.
+ *
+ * @param {object} catalog
+ *   The catalog.
+ * @return {string}
+ *   The URL.
+ */
+function makeDataURL(catalog) {
+  return "data:application/json," + encodeURIComponent(JSON.stringify(catalog));
+}
+
+/**
+ * Signs a catalog with the test key.
+ *
+ * @param {object} catalog
+ *   The catalog.
+ * @param {object} [privateKey]
+ *   The private key to sign it with, in JWK format.  Defaults to the test key.
+ * @return {object}
+ *   A copy of the catalog with a `signature`.
+ */
+async function signCatalog(catalog, privateKey = TEST_CATALOG_KEY.privateKey) {
+  let key = await crypto.subtle.importKey(
+    "jwk",
+    privateKey,
+    { name: "ECDSA", namedCurve: "P-256" },
+    false,
+    ["sign"]
+  );
+  let signature = await crypto.subtle.sign(
+    { name: "ECDSA", hash: "SHA-256" },
+    key,
+    new TextEncoder().encode(JSON.stringify(catalog.definitions))
+  );
+  return {
+    ...catalog,
+    signature: btoa(String.fromCharCode(...new Uint8Array(signature))),
+  };
+}
+
+/**
+ * Sets the catalog override URL.  The add-on loads it when the next engagement
+ * starts.  While the override is set, the add-on also trusts catalogs signed
+ * with the test key.
+ *
+ * @param {string} url
+ *   The URL, or an empty string to remove the override.
+ */
+async function setCatalogURL(url) {
+  if (url) {
+    Services.prefs.setStringPref(
+      TEST_CATALOG_PUBLIC_KEY_PREF,
+      JSON.stringify(TEST_CATALOG_KEY.publicKey)
+    );
+  } else {
+    Services.prefs.clearUserPref(TEST_CATALOG_PUBLIC_KEY_PREF);
+  }
+  let conn = await getExtensionStorage();
+  await conn.set({ catalogURL: url });
+}
+
 /**
  * Forces the survey to open or not open (subject to the opened-count logic).
  * Also sets a dummy survey URL.